@@ -1,18 +1,94 @@
 // --- HTML Escaping Helper (XSS prevention) ---
+// Quotes are escaped too, so the result is safe inside attribute values
 const escapeHTML = (str) => {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 };
 
+// --- Select Options ---
+// `options` maps each value to its label, or lists [value, label] pairs where keys would not
+// keep their order; `label` turns a label entry into the option text
+const optionsHTML = (options, selected, label = t) => (Array.isArray(options) ? options : Object.entries(options))
+    .map(([value, entry]) => `<option value="${value}" ${String(selected ?? '') === String(value) ? 'selected' : ''}>${label(entry)}</option>`)
+    .join('');
+
 // --- Input Validation ---
+// Listing links are rendered as anchors, so only web addresses are accepted, and none with
+// quotes or angle brackets that could end the attribute they are written into
+const isWebUrl = (url) => {
+    if (!url || /["'<>\s]/.test(url)) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+// "needs reno, AirBnB-able" → ['needs reno', 'AirBnB-able']
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
 const validateProperty = (fields) => {
     const errors = [];
-    if (fields.price <= 0) errors.push('Price must be positive');
-    if (fields.downPaymentPercent < 0 || fields.downPaymentPercent > 100) errors.push('Down payment must be 0–100%');
-    if (fields.rate < 0) errors.push('Interest rate cannot be negative');
-    if (fields.term < 1) errors.push('Loan term must be at least 1 year');
-    if (fields.rent < 0) errors.push('Rent cannot be negative');
+    if (fields.price <= 0) errors.push(t('errPricePositive'));
+    if (fields.downPaymentPercent < 0 || fields.downPaymentPercent > 100) errors.push(t('errDownPaymentRange'));
+    if (fields.rate < 0) errors.push(t('errRateNegative'));
+    if (fields.term < 1) errors.push(t('errTermMin'));
+    if (fields.fixedYears != null && (fields.fixedYears < 0 || fields.fixedYears > fields.term)) errors.push(t('errFixedPeriod'));
+    if (fields.fixedYears == null && fields.rateSteps && fields.rateSteps.length > 0) errors.push(t('errRateStepsWholeTerm'));
+    if (fields.extraPayment != null && fields.extraPayment < 0) errors.push(t('errExtraPaymentNegative'));
+    if (fields.lumpSums && fields.lumpSums.some(l => !Number.isInteger(l.year) || l.year < 1 || l.year > fields.term)) errors.push(t('errLumpSumsTerm'));
+    if (fields.graceMonths != null && (fields.graceMonths < 0 || fields.graceMonths >= fields.term * 12)) errors.push(t('errGracePeriod'));
+    if (fields.tranches) {
+        fields.tranches.forEach(tranche => {
+            const name = tranche.name;
+            if (tranche.amount <= 0) errors.push(t('errTrancheAmount', { name }));
+            if (tranche.rate < 0) errors.push(t('errTrancheRate', { name }));
+            if (tranche.term < 1) errors.push(t('errTrancheTerm', { name }));
+            if (tranche.graceMonths < 0 || tranche.graceMonths >= tranche.term * 12) errors.push(t('errTrancheGrace', { name }));
+        });
+        const financed = fields.price * (1 - fields.downPaymentPercent / 100);
+        const extrasTotal = fields.tranches.reduce((sum, tranche) => sum + tranche.amount, 0);
+        if (extrasTotal > financed + 0.5) errors.push(t('errTranchesExceed'));
+    }
+    (fields.refinances || []).forEach(event => {
+        const year = event.year;
+        if (!Number.isInteger(event.year) || event.year < 1) errors.push(t('errRefinanceYear'));
+        if (event.ltv <= 0 || event.ltv > 100) errors.push(t('errRefinanceLtv', { year }));
+        if (event.rate < 0) errors.push(t('errRefinanceRate', { year }));
+        if (event.term < 1) errors.push(t('errRefinanceTerm', { year }));
+        if (event.fees < 0) errors.push(t('errRefinanceFees', { year }));
+    });
+    if (fields.renoMonths != null && fields.renoMonths < 0) errors.push(t('errRenoMonthsNegative'));
+    if (fields.area != null && fields.area <= 0) errors.push(t('errAreaPositive'));
+    if (fields.rooms != null && fields.rooms <= 0) errors.push(t('errRoomsPositive'));
+    if (fields.listingUrl && !isWebUrl(fields.listingUrl)) errors.push(t('errListingUrl'));
+    (fields.costItems || []).forEach(item => {
+        if (item.amount < 0) errors.push(t('errCostItemNegative', { name: item.name }));
+    });
+    (fields.purchaseCosts || []).forEach(item => {
+        if (item.amount < 0) errors.push(t('errPurchaseCostNegative', { name: item.name || t(purchaseCostSettings[item.setting]) }));
+    });
+    if (fields.rent < 0) errors.push(t('errRentNegative'));
+    if (fields.incomeMode === 'shortTerm' && !fields.shortTerm) errors.push(t('errNightlyRateRequired'));
+    if (fields.shortTerm) {
+        const { nightlyRate, occupancy, seasonality, platformFee, cleaningCost, stayLength, touristTax } = fields.shortTerm;
+        const isPercent = (value) => value >= 0 && value <= 100;
+        if (nightlyRate < 0) errors.push(t('errNightlyRateNegative'));
+        if (!isPercent(occupancy) || (seasonality || []).some(value => value !== null && !isPercent(value))) errors.push(t('errOccupancyRange'));
+        if (seasonality && seasonality.length > 12) errors.push(t('errSeasonalityMonths'));
+        if (!isPercent(platformFee) || !isPercent(touristTax)) errors.push(t('errShortTermFeeRange'));
+        if (cleaningCost < 0) errors.push(t('errCleaningNegative'));
+        if (!(stayLength >= 1)) errors.push(t('errStayLength'));
+    }
+    if (fields.vacancyRate != null && (fields.vacancyRate < 0 || fields.vacancyRate > 100)) errors.push(t('errVacancyRange'));
+    if (fields.badDebtRate != null && (fields.badDebtRate < 0 || fields.badDebtRate > 100)) errors.push(t('errBadDebtRange'));
+    // Years index the yearly cashflow arrays, so they must be whole
+    if (fields.saleYear != null && (!Number.isInteger(fields.saleYear) || fields.saleYear < 1)) errors.push(t('errSaleYearMin'));
+    if (fields.purchaseYear != null && !Number.isInteger(fields.purchaseYear)) errors.push(t('errPurchaseYearWhole'));
+    if (fields.purchaseYear != null && fields.purchaseYear < 0) errors.push(t('errPurchaseYearBeforeStart', { year: settings.startYear }));
+    if (fields.agentFeePercent != null && fields.agentFeePercent < 0) errors.push(t('errAgentFeeNegative'));
+    if (fields.prepaymentPenaltyPercent != null && fields.prepaymentPenaltyPercent < 0) errors.push(t('errPenaltyNegative'));
     return errors;
 };
 
@@ -27,15 +103,37 @@ let propertyIdToDelete = null;
 let isSharedView = false;
 
 // --- Global Settings ---
-const defaultSettings = { taxRate: 4, lawyerRate: 0.5, inflation: 3.5 };
+const defaultSettings = {
+    taxRate: 4, lawyerRate: 0.5, appreciation: 3.5, rentGrowth: 3.5, costGrowth: 3.5, vacancyRate: 0, badDebtRate: 0,
+    rentalTaxRegime: 'flat', rentalTaxRate: 15, flatCostAllowance: 10,
+    saleTaxRate: 15, saleTaxSchedule: [100, 100, 100, 100, 100, 100, 90, 60, 30, 0],
+    cpi: 3.5,
+    // Calendar year of year 0 on the shared timeline, and whether surplus cashflow funds later purchases
+    startYear: new Date().getFullYear(),
+    reinvestCashflow: false,
+    // Deal screening: { metric, operator, threshold } tested against every property
+    screeningRules: [],
+    // Forints per unit of each foreign currency
+    exchangeRates: { eur: 400, usd: 370, chf: 420 }
+};
 let settings = { ...defaultSettings };
 
+// Older saves and links carry a single `inflation` rate used for value, rent and costs alike
+const normalizeSettings = (raw) => {
+    const { inflation, ...rest } = raw || {};
+    const legacy = inflation !== undefined ? { appreciation: inflation, rentGrowth: inflation, costGrowth: inflation } : {};
+    return {
+        ...defaultSettings, ...legacy, ...rest,
+        exchangeRates: { ...defaultSettings.exchangeRates, ...rest.exchangeRates }
+    };
+};
+
 const loadSettings = () => {
     const stored = localStorage.getItem('property_calculator_settings');
     if (stored) {
         try {
             const parsed = JSON.parse(stored);
-            settings = { ...defaultSettings, ...parsed };
+            settings = normalizeSettings(parsed);
         } catch (e) {
             console.error("Error parsing settings", e);
             settings = { ...defaultSettings };
@@ -51,14 +149,39 @@ const saveSettings = () => {
 };
 
 // --- User Preferences (local-only, not shared) ---
-const defaultPreferences = { theme: 'light', language: 'en', currency: 'huf', chartYears: 20 };
+// Simulation means left empty fall back to each property's own assumptions
+const defaultSimulationParams = {
+    paths: 2000,
+    seed: 1,
+    appreciationMean: null,
+    appreciationVolatility: 5,
+    rentGrowthMean: null,
+    rentGrowthVolatility: 3,
+    vacancyMean: null,
+    vacancyVolatility: 3,
+    rateMean: null,
+    rateVolatility: 1.5
+};
+// Table sort key null keeps the order the properties were added in. Range filters are
+// { min, max } per column key, in the units shown next to the filter inputs.
+const defaultTableSort = { key: null, direction: 'desc' };
+const defaultTableFilter = { text: '', ranges: {} };
+const defaultPreferences = { theme: 'light', language: 'en', currency: 'huf', chartYears: 20, vacancyUnit: 'percent', afterTax: false, chartBasis: 'equity', realValues: false, metricColumns: [], hiddenColumns: [], roiHorizon: 10, tableSort: defaultTableSort, tableFilter: defaultTableFilter, scenarioRows: false, portfolio: false, passingOnly: false, simulation: false, simulationParams: defaultSimulationParams };
 let preferences = { ...defaultPreferences };
 
+const normalizePreferences = (raw) => ({
+    ...defaultPreferences,
+    ...raw,
+    tableSort: { ...defaultTableSort, ...(raw && raw.tableSort) },
+    tableFilter: { ...defaultTableFilter, ...(raw && raw.tableFilter) },
+    simulationParams: { ...defaultSimulationParams, ...(raw && raw.simulationParams) }
+});
+
 const loadPreferences = () => {
     const stored = localStorage.getItem('property_calculator_preferences');
     if (stored) {
         try {
-            preferences = { ...defaultPreferences, ...JSON.parse(stored) };
+            preferences = normalizePreferences(JSON.parse(stored));
         } catch (e) {
             preferences = { ...defaultPreferences };
         }
@@ -77,133 +200,1037 @@ const saveProperties = () => {
     localStorage.setItem('property_calculator_data', JSON.stringify(properties));
 };
 
+// --- Currencies ---
+const currencies = {
+    huf: { code: 'HUF', symbol: 'Ft' },
+    eur: { code: 'EUR', symbol: '€' },
+    usd: { code: 'USD', symbol: '$' },
+    chf: { code: 'CHF', symbol: 'CHF' }
+};
+
+const getExchangeRate = (currency) => currency === 'huf' || !currency ? 1 : (settings.exchangeRates[currency] || 1);
+
+// Converts through forints using the rate table in settings
+const convertCurrency = (amount, from, to) => amount * getExchangeRate(from) / getExchangeRate(to);
+
+const getCurrencySymbol = (currency) => (currencies[currency] || currencies.huf).symbol;
+
+const getDisplayCurrency = () => currencies[preferences.currency] ? preferences.currency : 'huf';
+
 // --- Formatters ---
-const formatHUF = (num) => {
-    return new Intl.NumberFormat('hu-HU', {
+// Amounts are stored in the currency of their property and shown in the display currency
+const formatMoney = (num, currency = 'huf') => {
+    const display = getDisplayCurrency();
+    return new Intl.NumberFormat(getLocale(), {
         style: 'currency',
-        currency: 'HUF',
+        currency: currencies[display].code,
+        currencyDisplay: 'narrowSymbol',
         maximumFractionDigits: 0
-    }).format(num);
+    }).format(convertCurrency(num, currency, display));
 };
 
-const formatCompact = (num) => {
-    return new Intl.NumberFormat('hu-HU', {
+const formatCompact = (num, currency = 'huf') => {
+    const display = getDisplayCurrency();
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency: currencies[display].code,
+        currencyDisplay: 'narrowSymbol',
         notation: "compact",
         compactDisplay: "short",
+        minimumFractionDigits: 0,
         maximumFractionDigits: 2
-    }).format(num);
+    }).format(convertCurrency(num, currency, display));
 }
 
 // --- Calculations ---
-const calculateMortgage = (principal, annualRate, years) => {
-    if (principal <= 0) return 0;
-    const monthlyRate = annualRate / 100 / 12;
-    const numberOfPayments = years * 12;
+// Per-property override wins when set; empty overrides fall back to the global default
+const resolveRate = (override, fallback) => {
+    return (override === null || override === undefined || override === '') ? fallback : override;
+};
+
+// --- Purchase Costs ---
+// Closing costs paid on top of the down payment: a % of the price or a fixed amount. A property
+// without its own list pays the global transfer tax and lawyer rates; in a list, the rows tied to
+// those settings keep following them until an amount is entered.
+const purchaseCostSettings = {
+    taxRate: 'tax',
+    lawyerRate: 'lawyer'
+};
+
+const purchaseCostBases = {
+    percent: 'percentOfPrice',
+    fixed: 'fixedAmountK'
+};
 
-    if (monthlyRate === 0) return principal / numberOfPayments;
+const defaultPurchaseCosts = Object.keys(purchaseCostSettings)
+    .map(setting => ({ name: '', basis: 'percent', amount: null, setting }));
 
-    const x = Math.pow(1 + monthlyRate, numberOfPayments);
-    const monthlyPayment = principal * ((monthlyRate * x) / (x - 1));
-    return monthlyPayment;
+// Every closing cost with its label, its rate (percentage items only) and its amount in property currency
+const getPurchaseCosts = (prop) => (prop.purchaseCosts || defaultPurchaseCosts).map(item => {
+    const name = item.name || t(purchaseCostSettings[item.setting]);
+    if (item.basis === 'fixed') return { name, rate: null, amount: item.amount || 0 };
+    const rate = item.setting ? resolveRate(item.amount, settings[item.setting]) : item.amount;
+    return { name, rate, amount: prop.price * (rate / 100) };
+});
+
+const describePurchaseCost = (item, currency) =>
+    `${item.name} (${item.rate === null ? formatCompact(item.amount, currency) : formatPercent(item.rate)})`;
+
+const getGrowthRates = (prop) => ({
+    appreciation: resolveRate(prop.appreciation, settings.appreciation) / 100,
+    rentGrowth: resolveRate(prop.rentGrowth, settings.rentGrowth) / 100,
+    costGrowth: resolveRate(prop.costGrowth, settings.costGrowth) / 100
+});
+
+// --- Short-Term Letting ---
+// A short-term let earns its nightly rate on the occupied nights, less the platform fee,
+// cleaning after every stay and the tourist tax (a share of the room revenue, 4% in
+// Budapest). Its net income takes the place of the monthly rent everywhere, so it grows
+// with rent growth and feeds the cashflow, ROI and charts.
+const incomeModes = {
+    longTerm: 'longTermLet',
+    shortTerm: 'shortTermLet'
+};
+
+// Amounts in property currency; `seasonality` holds an occupancy per calendar month, null
+// entries following the flat occupancy
+const defaultShortTerm = {
+    nightlyRate: 0, occupancy: 65, seasonality: null, platformFee: 15, cleaningCost: 0, stayLength: 3, touristTax: 4
+};
+
+const daysPerMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const isShortTerm = (prop) => prop.incomeMode === 'shortTerm' && Boolean(prop.shortTerm);
+
+// One year of lettings in year 1 money
+const getShortTermIncome = (prop) => {
+    const inputs = { ...defaultShortTerm, ...prop.shortTerm };
+    const nights = daysPerMonth.reduce((sum, days, month) => {
+        const occupancy = (inputs.seasonality && inputs.seasonality[month] !== null && inputs.seasonality[month] !== undefined)
+            ? inputs.seasonality[month]
+            : inputs.occupancy;
+        return sum + days * occupancy / 100;
+    }, 0);
+    const stays = nights / inputs.stayLength;
+    const revenue = nights * inputs.nightlyRate;
+    const platformFee = revenue * inputs.platformFee / 100;
+    const touristTax = revenue * inputs.touristTax / 100;
+    const cleaning = stays * inputs.cleaningCost;
+    const net = revenue - platformFee - touristTax - cleaning;
+    return { nights, stays, occupancy: nights / 365 * 100, revenue, platformFee, touristTax, cleaning, net };
 };
 
-const getRemainingBalance = (principal, annualRate, termYears, year) => {
-    const r = annualRate / 100 / 12;
-    const n = termYears * 12;
-    const p = year * 12;
+// Year 1 monthly income before vacancy: the rent, or a twelfth of the short-term net income
+const getMonthlyIncome = (prop) => isShortTerm(prop) ? getShortTermIncome(prop).net / 12 : prop.rent;
 
-    if (p >= n) return 0;
-    if (r === 0) return principal - (principal/n)*p;
+// Occupancy already counts a short-term let's empty nights, and guests pay the platform up front
+const getIncomeLossRates = (prop) => isShortTerm(prop)
+    ? { vacancy: 0, badDebt: 0 }
+    : { vacancy: resolveRate(prop.vacancyRate, settings.vacancyRate), badDebt: resolveRate(prop.badDebtRate, settings.badDebtRate) };
 
-    // Formula for remaining balance
-    const numerator = Math.pow(1 + r, n) - Math.pow(1 + r, p);
-    const denominator = Math.pow(1 + r, n) - 1;
+// Year 1 income, cashflow and 5-year ROI of the property let each way
+const compareIncomeModes = (prop) => Object.keys(incomeModes).map(mode => {
+    const view = mode === prop.incomeMode ? prop : recalculateProperty({ ...prop, incomeMode: mode });
+    return { mode, income: view.effectiveRent, cashflow: view.cashflow, roi: calculateProjectedROI(view, 5) };
+});
 
-    return principal * (numerator / denominator);
+// Vacancy removes whole months of rent; bad debt is a share of the rent actually billed
+const getEffectiveRent = (prop, grossRent = getMonthlyIncome(prop)) => {
+    const rates = getIncomeLossRates(prop);
+    const vacancy = rates.vacancy / 100;
+    const badDebt = rates.badDebt / 100;
+    const vacancyLoss = grossRent * vacancy;
+    const badDebtLoss = (grossRent - vacancyLoss) * badDebt;
+    return {
+        gross: grossRent,
+        vacancyLoss,
+        badDebtLoss,
+        effective: grossRent - vacancyLoss - badDebtLoss
+    };
 };
 
-const calculateProjectedROI = (prop, targetYear) => {
-    if (prop.totalInvested <= 0) return 0;
+// Converts a forint amount of a future year into today's money using the CPI assumption
+const deflate = (amount, year) => amount / Math.pow(1 + settings.cpi / 100, year);
+
+// --- Renovation ---
+// The works take `renoMonths` from the purchase. Until they are finished no rent comes in and
+// the property is worth its price; from completion it is worth `afterRenoValue`.
+const renoSchedules = {
+    upfront: 'renoPaidUpfront',
+    spread: 'renoSpreadEvenly'
+};
+
+const isRenovated = (prop, year) => (prop.renoMonths || 0) <= year * 12;
+
+// Share of `year` in which the property is let
+const getRentedShare = (prop, year) => Math.min(12, Math.max(0, year * 12 - (prop.renoMonths || 0))) / 12;
+
+// Renovation budget paid in `year`, 0 being the purchase. A spread budget is paid in equal
+// monthly parts while the works last; it still counts in the initial cash, only later.
+const getRenoSpend = (prop, year) => {
+    const months = prop.renoMonths || 0;
+    if (prop.renoSchedule !== 'spread' || months === 0) return year === 0 ? prop.renoCost : 0;
+    const monthsInYear = Math.min(12, Math.max(0, months - (year - 1) * 12));
+    return year === 0 ? 0 : prop.renoCost * (monthsInYear / months);
+};
+
+const getProjectedValue = (prop, year) => {
+    const { appreciation } = getGrowthRates(prop);
+    const base = isRenovated(prop, year) ? (prop.afterRenoValue || prop.price) : prop.price;
+    return base * Math.pow(1 + appreciation, year);
+};
+
+// The main bank loan finances whatever the down payment and the extra tranches
+// (subsidised, family, ...) leave uncovered. Extra tranches carry their own terms.
+const getMainLoanAmount = (prop) => {
+    const extrasTotal = (prop.tranches || []).reduce((sum, tranche) => sum + tranche.amount, 0);
+    return Math.max(0, prop.price - prop.downPayment - extrasTotal);
+};
+
+// Property-currency value of one unit of the bank loan's currency in a given loan month.
+// FX drift is the yearly change of that value; positive drift makes the loan more expensive.
+const getLoanFxRate = (prop, month) => {
+    if (!prop.loanCurrency) return 1;
+    const spot = convertCurrency(1, prop.loanCurrency, prop.currency || 'huf');
+    return spot * Math.pow(1 + (prop.fxDrift || 0) / 100, month / 12);
+};
+
+// A foreign-currency bank loan is drawn at today's rate, so its amount and the prepayments
+// planned in property currency are converted into the loan currency up front.
+const getLoanTranches = (prop) => {
+    const extras = (prop.tranches || []).map(tranche => ({ ...tranche, graceMonths: tranche.graceMonths || 0 }));
+    const fxRate = getLoanFxRate(prop, 0);
+    const main = {
+        name: t('bankLoan'),
+        currency: prop.loanCurrency || null,
+        amount: getMainLoanAmount(prop) / fxRate,
+        rate: prop.rate,
+        term: prop.term,
+        graceMonths: prop.graceMonths || 0,
+        fixedYears: prop.fixedYears,
+        rateShock: prop.rateShock,
+        rateSteps: prop.rateSteps,
+        extraPayment: (prop.extraPayment || 0) / fxRate,
+        lumpSums: (prop.lumpSums || []).map(l => ({ ...l, amount: l.amount / getLoanFxRate(prop, l.year * 12) })),
+        prepaymentStrategy: prop.prepaymentStrategy
+    };
+    return [main, ...extras];
+};
+
+// Rate steps are written as "year:rate" pairs, e.g. "5:7.5, 10:8" — 7.5% after year 5, 8% after year 10
+const parseRateSteps = (text) => {
+    return String(text || '').split(',')
+        .map(part => part.split(':').map(v => parseFloat(v)))
+        .filter(([year, rate]) => !isNaN(year) && !isNaN(rate))
+        .map(([year, rate]) => ({ year, rate }))
+        .sort((a, b) => a.year - b.year);
+};
+
+const formatRateSteps = (steps) => (steps || []).map(step => `${step.year}:${step.rate}`).join(', ');
+
+// A loan fixed for the whole term never resets, so its rate steps input is cleared and locked
+const updateRateStepsInput = (fixedYearsValue, input) => {
+    input.disabled = fixedYearsValue === '';
+    if (input.disabled) input.value = '';
+};
 
-    let currentPrice = prop.afterRenoValue || prop.price;
-    let accumulatedCashflow = 0;
-    const annualMortgage = prop.monthlyPayment * 12;
-    const inflationRate = settings.inflation / 100;
-    const monthlyCosts = prop.monthlyCosts || 0;
-
-    for (let i = 1; i <= targetYear; i++) {
-        // Update Price (Assuming price grows at inflation rate)
-        currentPrice = currentPrice * (1 + inflationRate);
-
-        // Update Cashflow (Rent and costs grow with inflation)
-        const yearlyRent = (prop.rent * 12) * Math.pow(1 + inflationRate, i - 1);
-        const yearlyCosts = (monthlyCosts * 12) * Math.pow(1 + inflationRate, i - 1);
-        const yearlyCashflow = yearlyRent - annualMortgage - yearlyCosts;
-        accumulatedCashflow += yearlyCashflow;
+window.onFixedPeriodChange = (id, value) => updateRateStepsInput(value, document.getElementById(`input-ratesteps-${id}`));
+
+// Lump-sum prepayments are written as "year:millions" pairs, e.g. "3:2, 5:1.5" — paid at the end of that year
+const parseLumpSums = (text) => {
+    return String(text || '').split(',')
+        .map(part => part.split(':').map(v => parseFloat(v)))
+        .filter(([year, amountM]) => !isNaN(year) && !isNaN(amountM) && amountM > 0)
+        .map(([year, amountM]) => ({ year, amount: amountM * 1000000 }))
+        .sort((a, b) => a.year - b.year);
+};
+
+const formatLumpSums = (lumpSums) => (lumpSums || []).map(l => `${l.year}:${l.amount / 1000000}`).join(', ');
+
+// Extra principal either shortens the loan (same payment) or lowers the payment (same end date)
+const prepaymentStrategies = {
+    term: 'shorterTerm',
+    payment: 'lowerPayment'
+};
+
+const describeRateSchedule = (prop) => {
+    if (prop.fixedYears === null || prop.fixedYears === undefined) return '';
+    const after = [];
+    if (prop.rateShock) after.push(t('rateShockNote', { shock: `${prop.rateShock > 0 ? '+' : ''}${formatNumber(prop.rateShock)}` }));
+    (prop.rateSteps || []).forEach(step => after.push(t('rateStepNote', { rate: formatNumber(step.rate), year: step.year })));
+    return t('fixedRateNote', { years: prop.fixedYears, after: after.length > 0 ? after.join(', ') : t('repriced') });
+};
+
+// Whole term first, so a list of pairs rather than a map
+const fixedPeriods = [['', 'wholeTerm'], ['1', 'fixed1Year'], ['3', 'fixed3Years'], ['5', 'fixed5Years'], ['10', 'fixed10Years']];
+
+// Adds the tranche schedules month by month into one schedule for the whole property.
+// Schedules are aligned by their month numbers, so a refinance loan starting later lines up.
+const combineSchedules = (schedules) => {
+    const months = Math.max(0, ...schedules.map(s => s.length > 0 ? s[s.length - 1].month : 0));
+    const combined = [];
+    for (let i = 0; i < months; i++) {
+        const row = { month: i + 1, year: Math.ceil((i + 1) / 12), rate: 0, payment: 0, interest: 0, principal: 0, prepayment: 0, balance: 0 };
+        let openingBalance = 0;
+        let weightedRate = 0;
+        schedules.forEach(schedule => {
+            const part = schedule.length > 0 ? schedule[i + 1 - schedule[0].month] : null;
+            if (!part) return;
+            row.payment += part.payment;
+            row.interest += part.interest;
+            row.principal += part.principal;
+            row.prepayment += part.prepayment;
+            row.balance += part.balance;
+            const opening = part.balance + part.principal + part.prepayment;
+            openingBalance += opening;
+            weightedRate += opening * part.rate;
+        });
+        // Blended rate, weighted by the balance each tranche carries into the month
+        row.rate = openingBalance > 0 ? Math.round(weightedRate / openingBalance * 100) / 100 : 0;
+        combined.push(row);
+    }
+    return combined;
+};
+
+// Restates a foreign-currency schedule in property currency at each month's exchange rate
+const convertLoanSchedule = (schedule, fxRateForMonth) => schedule.map(row => {
+    const fx = fxRateForMonth(row.month);
+    return {
+        ...row,
+        payment: row.payment * fx,
+        interest: row.interest * fx,
+        principal: row.principal * fx,
+        prepayment: row.prepayment * fx,
+        balance: row.balance * fx
+    };
+});
+
+// --- Refinancing ---
+// At the end of a refinance year every outstanding loan is paid off (with the prepayment
+// penalty) and replaced by one new loan in property currency: LTV times the projected value,
+// at the new rate and term. Whatever is left after the payoff and the fees is released as
+// cash-out; a negative amount has to be paid in. Extra repayments carry over to the new loan.
+const getRefinanceEvents = (prop) => (prop.refinances || [])
+    .filter(event => event.year >= 1)
+    .sort((a, b) => a.year - b.year);
+
+const refinanceLoan = (prop, event, amount) => {
+    const shiftedLumpSums = (prop.lumpSums || [])
+        .filter(l => l.year > event.year)
+        .map(l => ({ ...l, year: l.year - event.year }));
+    return {
+        name: t('refinanceLoanName', { year: event.year }),
+        currency: null,
+        amount,
+        rate: event.rate,
+        term: event.term,
+        graceMonths: 0,
+        fixedYears: null,
+        extraPayment: prop.extraPayment || 0,
+        lumpSums: shiftedLumpSums,
+        prepaymentStrategy: prop.prepaymentStrategy
+    };
+};
+
+// Cuts the loans at the end of each refinance year and appends the new loan, whose months
+// continue the property's loan months
+const applyRefinances = (prop, tranches) => {
+    const refinances = [];
+    getRefinanceEvents(prop).forEach(event => {
+        const month = event.year * 12;
+        tranches = tranches
+            .map(tranche => ({ ...tranche, schedule: tranche.schedule.filter(row => row.month <= month) }))
+            .filter(tranche => tranche.schedule.length > 0);
+        const oldBalance = tranches.reduce((sum, tranche) => sum + tranche.schedule[tranche.schedule.length - 1].balance, 0);
+        const penalty = oldBalance * ((prop.prepaymentPenaltyPercent || 0) / 100);
+        const amount = getProjectedValue(prop, event.year) * (event.ltv / 100);
+        const loan = refinanceLoan(prop, event, amount);
+        const schedule = buildAmortizationSchedule(loan).map(row => ({ ...row, month: row.month + month, year: row.year + event.year }));
+        if (schedule.length > 0) tranches.push({ loan, schedule });
+        refinances.push({ ...event, oldBalance, penalty, amount, cashOut: amount - oldBalance - penalty - event.fees });
+    });
+    return { tranches, refinances };
+};
+
+// Schedules are rebuilt by recalculateProperty and reused by every projection of the property
+const loanCache = new WeakMap();
+
+const getLoanSchedule = (prop) => {
+    if (!loanCache.has(prop)) {
+        const original = getLoanTranches(prop)
+            .filter(loan => loan.amount > 0)
+            .map(loan => {
+                const schedule = buildAmortizationSchedule(loan);
+                return { loan, schedule: loan.currency ? convertLoanSchedule(schedule, month => getLoanFxRate(prop, month)) : schedule };
+            });
+        const { tranches, refinances } = applyRefinances(prop, original);
+        const schedule = combineSchedules(tranches.map(tranche => tranche.schedule));
+        // A refinance year ends with the old loans repaid and the new one drawn
+        refinances.forEach(event => {
+            const row = schedule[event.year * 12 - 1];
+            if (row) row.balance = event.amount;
+        });
+        loanCache.set(prop, { tranches, refinances, schedule, yearly: summarizeScheduleByYear(schedule) });
+    }
+    return loanCache.get(prop);
+};
+
+const getLoanBalance = (prop, year) => {
+    if (year <= 0) return prop.loanAmount;
+    const { yearly } = getLoanSchedule(prop);
+    return year <= yearly.length ? yearly[year - 1].balance : 0;
+};
+
+const getAnnualDebtService = (prop, year) => {
+    const summary = getLoanSchedule(prop).yearly[year - 1];
+    return summary ? summary.payment : 0;
+};
+
+const getAnnualPrepayment = (prop, year) => {
+    const summary = getLoanSchedule(prop).yearly[year - 1];
+    return summary ? summary.prepayment : 0;
+};
+
+// Cash-out released by the refinances at the end of `year`
+const getRefinanceCash = (prop, year) => getLoanSchedule(prop).refinances
+    .filter(event => event.year === year)
+    .reduce((sum, event) => sum + event.cashOut, 0);
+
+// --- Taxes ---
+const rentalTaxRegimes = {
+    none: 'noTax',
+    flat: 'flatRateCosts',
+    itemised: 'itemisedCosts'
+};
+
+const taxRegimeOptions = (selected, defaultLabel) => {
+    const defaultOption = defaultLabel ? `<option value="" ${!selected ? 'selected' : ''}>${defaultLabel}</option>` : '';
+    return defaultOption + optionsHTML(rentalTaxRegimes, selected);
+};
+
+const getTaxRegime = (prop) => {
+    const regime = prop.taxRegime || settings.rentalTaxRegime;
+    return rentalTaxRegimes[regime] ? regime : defaultSettings.rentalTaxRegime;
+};
+
+// Personal income tax on one year of rent. Flat-rate regime taxes rent minus a fixed
+// cost allowance, the itemised regime taxes rent minus the actual operating costs.
+const calculateRentalTax = (prop, yearlyRent, yearlyCosts) => {
+    const rate = settings.rentalTaxRate / 100;
+    switch (getTaxRegime(prop)) {
+        case 'flat':
+            return yearlyRent * (1 - settings.flatCostAllowance / 100) * rate;
+        case 'itemised':
+            return Math.max(0, yearlyRent - yearlyCosts) * rate;
+        default:
+            return 0;
+    }
+};
+
+// Share of the gain that is taxable after `holdingYears`; the last entry applies to any later year
+const getTaxableGainShare = (holdingYears) => {
+    const schedule = settings.saleTaxSchedule;
+    if (!schedule || schedule.length === 0) return 1;
+    const index = Math.min(Math.max(0, Math.floor(holdingYears)), schedule.length - 1);
+    return schedule[index] / 100;
+};
+
+// Selling costs are deductible from the gain
+const calculateSaleTax = (prop, saleValue, holdingYears, sellingCosts = 0) => {
+    const costBasis = prop.price + prop.renoCost + prop.purchaseFees;
+    const gain = saleValue - sellingCosts - costBasis;
+    if (gain <= 0) return 0;
+    return gain * getTaxableGainShare(holdingYears) * (settings.saleTaxRate / 100);
+};
+
+// --- Exit ---
+const defaultExit = { saleYear: 10, agentFeePercent: 3, saleClosingCosts: 0, prepaymentPenaltyPercent: 0 };
+
+// What is left after selling at the end of `year`: agent fee, fixed closing costs,
+// paying off the loan plus the early-repayment penalty, and capital gains tax.
+const calculateSaleProceeds = (prop, year) => {
+    const value = getProjectedValue(prop, year);
+    const agentFee = value * (prop.agentFeePercent / 100);
+    const closingCosts = prop.saleClosingCosts;
+    const loanPayoff = getLoanBalance(prop, year);
+    const prepaymentPenalty = loanPayoff * (prop.prepaymentPenaltyPercent / 100);
+    const saleTax = calculateSaleTax(prop, value, year, agentFee + closingCosts);
+    const preTaxProceeds = value - agentFee - closingCosts - loanPayoff - prepaymentPenalty;
+    return {
+        value,
+        agentFee,
+        closingCosts,
+        loanPayoff,
+        prepaymentPenalty,
+        saleTax,
+        preTaxProceeds,
+        netProceeds: preTaxProceeds - saleTax
+    };
+};
+
+// --- Operating Costs ---
+// Itemised costs come on top of the single `monthlyCosts` figure. Fixed items are monthly or
+// yearly amounts growing at their own rate (the property's cost growth by default); a maintenance
+// reserve is a yearly % of the value at the start of the year, a management fee a % of the rent
+// collected.
+const costItemBases = {
+    monthly: 'perMonth',
+    yearly: 'perYear',
+    value: 'percentOfValue',
+    rent: 'percentOfRent'
+};
+
+// Rows offered in an empty editor; names stay placeholders until an amount is entered
+const costItemPresets = [
+    { nameKey: 'commonCharges', basis: 'monthly' },
+    { nameKey: 'insurance', basis: 'yearly' },
+    { nameKey: 'propertyTax', basis: 'yearly' },
+    { nameKey: 'maintenanceReserve', basis: 'value' },
+    { nameKey: 'managementFee', basis: 'rent' },
+    { nameKey: 'ownerUtilities', basis: 'monthly' }
+];
+
+const isPercentCost = (item) => item.basis === 'value' || item.basis === 'rent';
+
+// Yearly operating costs of projected `year` (1-based), given the rent collected that year
+const getOperatingCosts = (prop, year, collectedRent) => {
+    const { costGrowth } = getGrowthRates(prop);
+    const grown = (amount, growth) => amount * Math.pow(1 + growth, year - 1);
+    const items = (prop.costItems || []).map(item => {
+        const growth = resolveRate(item.growth, costGrowth * 100) / 100;
+        switch (item.basis) {
+            case 'value':
+                return { name: item.name, amount: getProjectedValue(prop, year - 1) * (item.amount / 100) };
+            case 'rent':
+                return { name: item.name, amount: collectedRent * (item.amount / 100) };
+            case 'yearly':
+                return { name: item.name, amount: grown(item.amount, growth) };
+            default:
+                return { name: item.name, amount: grown(item.amount * 12, growth) };
+        }
+    });
+    const other = grown((prop.monthlyCosts || 0) * 12, costGrowth);
+    return { items, other, total: items.reduce((sum, item) => sum + item.amount, other) };
+};
+
+// One row per projected year (1..years). Every projection, chart and metric is built on this series.
+const buildCashflowSeries = (prop, years) => {
+    const series = [];
+    const { rentGrowth } = getGrowthRates(prop);
+
+    for (let i = 1; i <= years; i++) {
+        // Rent and costs grow independently, starting from year 1 values
+        const rent = getEffectiveRent(prop, getMonthlyIncome(prop) * 12 * Math.pow(1 + rentGrowth, i - 1) * getRentedShare(prop, i));
+        const operatingCosts = getOperatingCosts(prop, i, rent.effective).total;
+        const noi = rent.effective - operatingCosts;
+        const debtService = getAnnualDebtService(prop, i);
+        // Prepayments come out of the year's cashflow and show up as lower loan balances
+        const prepayment = getAnnualPrepayment(prop, i);
+        // Cash-out from a refinance is not income, but it is cash in hand that year
+        const refinanceCash = getRefinanceCash(prop, i);
+        const cashflow = noi - debtService - prepayment + refinanceCash;
+        const rentalTax = calculateRentalTax(prop, rent.effective, operatingCosts);
+        series.push({
+            year: i,
+            value: getProjectedValue(prop, i),
+            grossRent: rent.gross,
+            effectiveRent: rent.effective,
+            operatingCosts,
+            noi,
+            debtService,
+            prepayment,
+            refinanceCash,
+            cashflow,
+            rentalTax,
+            afterTaxCashflow: cashflow - rentalTax,
+            balance: getLoanBalance(prop, i)
+        });
     }
+    return series;
+};
 
-    const remainingLoan = getRemainingBalance(prop.loanAmount, prop.rate, prop.term, targetYear);
-    const equity = currentPrice - remainingLoan;
+// With `afterTax`, rental income tax is deducted every year and capital gains tax
+// is charged as if the property were sold at `targetYear`. With `afterSale`, equity
+// is replaced by the proceeds of actually selling, net of selling costs. With `real`,
+// every year's cashflow and the final equity are deflated to today's money.
+const calculateProjectedProfit = (prop, targetYear, { afterTax = false, afterSale = false, real = false } = {}) => {
+    if (prop.totalInvested <= 0) return 0;
+    const toBasis = (amount, year) => real ? deflate(amount, year) : amount;
 
-    // Total Position = Equity + accumulated cashflow
-    const totalPosition = equity + accumulatedCashflow;
+    const accumulatedCashflow = buildCashflowSeries(prop, targetYear)
+        .reduce((sum, row) => sum + toBasis(afterTax ? row.afterTaxCashflow : row.cashflow, row.year), 0);
 
-    // Profit = Position - Initial Investment
-    const profit = totalPosition - prop.totalInvested;
+    let equity;
+    if (afterSale) {
+        const sale = calculateSaleProceeds(prop, targetYear);
+        equity = afterTax ? sale.netProceeds : sale.preTaxProceeds;
+    } else {
+        const value = getProjectedValue(prop, targetYear);
+        equity = value - getLoanBalance(prop, targetYear);
+        if (afterTax) equity -= calculateSaleTax(prop, value, targetYear);
+    }
 
-    return (profit / prop.totalInvested) * 100;
+    // Profit = (Equity + accumulated cashflow) - Initial Investment
+    return (toBasis(equity, targetYear) + accumulatedCashflow) - prop.totalInvested;
 };
 
-const calculateProjectedProfit = (prop, targetYear) => {
+const calculateProjectedROI = (prop, targetYear, options) => {
     if (prop.totalInvested <= 0) return 0;
+    return (calculateProjectedProfit(prop, targetYear, options) / prop.totalInvested) * 100;
+};
 
-    let currentPrice = prop.afterRenoValue || prop.price;
-    let accumulatedCashflow = 0;
-    const annualMortgage = prop.monthlyPayment * 12;
-    const inflationRate = settings.inflation / 100;
-    const monthlyCosts = prop.monthlyCosts || 0;
-
-    for (let i = 1; i <= targetYear; i++) {
-        currentPrice = currentPrice * (1 + inflationRate);
-        const yearlyRent = (prop.rent * 12) * Math.pow(1 + inflationRate, i - 1);
-        const yearlyCosts = (monthlyCosts * 12) * Math.pow(1 + inflationRate, i - 1);
-        accumulatedCashflow += yearlyRent - annualMortgage - yearlyCosts;
+// Realised total return when the property is sold in its planned sale year, after all taxes
+const calculateRealisedReturn = (prop) => {
+    const sale = calculateSaleProceeds(prop, prop.saleYear);
+    const profit = calculateProjectedProfit(prop, prop.saleYear, { afterTax: true, afterSale: true });
+    return {
+        ...sale,
+        profit,
+        roi: prop.totalInvested > 0 ? (profit / prop.totalInvested) * 100 : 0
+    };
+};
+
+// --- Investment Metrics ---
+const calculateNPV = (flows, rate) => {
+    return flows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+};
+
+// Bisection on NPV = 0; returns null when the flows never change sign
+const calculateIRR = (flows) => {
+    let low = -0.99;
+    let high = 10;
+    let npvLow = calculateNPV(flows, low);
+    if (npvLow * calculateNPV(flows, high) > 0) return null;
+
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        const npvMid = calculateNPV(flows, mid);
+        if (Math.abs(npvMid) < 1e-6) return mid;
+        if (npvLow * npvMid < 0) {
+            high = mid;
+        } else {
+            low = mid;
+            npvLow = npvMid;
+        }
+    }
+    return (low + high) / 2;
+};
+
+// After-tax equity flows: initial cash out, yearly cashflow, net sale proceeds in the sale year
+const buildInvestmentFlows = (prop) => {
+    const series = buildCashflowSeries(prop, prop.saleYear);
+    // A renovation budget spread over the works is paid when it falls due
+    const deferredReno = prop.renoCost - getRenoSpend(prop, 0);
+    const flows = [-(prop.totalInvested - deferredReno), ...series.map(row => row.afterTaxCashflow - getRenoSpend(prop, row.year))];
+    flows[prop.saleYear] += calculateSaleProceeds(prop, prop.saleYear).netProceeds;
+    return flows;
+};
+
+// The metrics of calculateMetrics, computed on first use only
+const lazyMetrics = (prop) => {
+    let metrics = null;
+    return () => metrics || (metrics = calculateMetrics(prop, getBenchmarkRate()));
+};
+
+// Year 1 rent before vacancy and costs, as a % of the price
+const calculateGrossYield = (prop) => prop.price > 0 ? getMonthlyIncome(prop) * 12 / prop.price * 100 : null;
+
+const calculateMetrics = (prop, benchmarkRate) => {
+    const firstYear = buildCashflowSeries(prop, 1)[0];
+    const flows = buildInvestmentFlows(prop);
+    const irr = calculateIRR(flows);
+    return {
+        irr: irr === null ? null : irr * 100,
+        npv: calculateNPV(flows, benchmarkRate / 100),
+        // Voluntary prepayments are a use of the cashflow, not a cost of holding the property,
+        // and refinance cash-out is not a return on it
+        cashOnCash: prop.totalInvested > 0 ? ((firstYear.cashflow + firstYear.prepayment - firstYear.refinanceCash) / prop.totalInvested) * 100 : null,
+        capRate: prop.price > 0 ? (firstYear.noi / prop.price) * 100 : null,
+        dscr: firstYear.debtService > 0 ? firstYear.noi / firstYear.debtService : null
+    };
+};
+
+// Loan and return figures of the property with its extra repayments against the same
+// property without them
+const calculatePrepaymentImpact = (prop) => {
+    const summarize = (p) => {
+        const { schedule, yearly } = getLoanSchedule(p);
+        const saleYearLoan = yearly[p.saleYear - 1];
+        return {
+            totalInterest: schedule.reduce((sum, row) => sum + row.interest, 0),
+            totalPrepaid: schedule.reduce((sum, row) => sum + row.prepayment, 0),
+            payoffMonths: schedule.length,
+            saleYearPayment: saleYearLoan ? saleYearLoan.payment / 12 : 0,
+            firstYearCashflow: buildCashflowSeries(p, 1)[0].cashflow / 12,
+            roi: calculateRealisedReturn(p).roi,
+            irr: calculateMetrics(p, 0).irr
+        };
+    };
+    const withPlan = summarize(prop);
+    const without = summarize(recalculateProperty({ ...prop, extraPayment: 0, lumpSums: [] }));
+    return {
+        with: withPlan,
+        without,
+        interestSaved: without.totalInterest - withPlan.totalInterest,
+        monthsSaved: without.payoffMonths - withPlan.payoffMonths
+    };
+};
+
+// --- Deal Screening ---
+// Metrics a screening rule can test. Money is compared in thousands of the display currency,
+// so one threshold works across properties in different currencies.
+const toDisplayThousands = (amount, prop) => convertCurrency(amount, prop.currency, getDisplayCurrency()) / 1000;
+
+const screeningMetrics = {
+    cashflow: { label: 'cashflow', unit: 'money', value: (prop) => toDisplayThousands(prop.cashflow, prop) },
+    stressedCashflow: {
+        label: 'ruleStressedCashflow',
+        unit: 'money',
+        value: (prop) => toDisplayThousands(recalculateProperty({ ...prop, rate: prop.rate + 1 }).cashflow, prop)
+    },
+    grossYield: { label: 'grossYield', unit: 'percent', value: calculateGrossYield },
+    ltv: { label: 'ltv', unit: 'percent', value: (prop) => prop.price > 0 ? prop.loanAmount / prop.price * 100 : null },
+    cashOnCash: { label: 'metricCashOnCash', unit: 'percent', value: (prop, metrics) => metrics().cashOnCash },
+    capRate: { label: 'metricCapRate', unit: 'percent', value: (prop, metrics) => metrics().capRate },
+    dscr: { label: 'metricDscr', unit: 'ratio', value: (prop, metrics) => metrics().dscr },
+    irr: { label: 'metricIrr', unit: 'percent', value: (prop, metrics) => metrics().irr },
+    roi5: { label: 'roi5y', unit: 'percent', value: (prop) => calculateProjectedROI(prop, 5) },
+    // Percentage points above the benchmark compounded over the same five years
+    roi5OverBenchmark: {
+        label: 'ruleRoiOverBenchmark',
+        unit: 'points',
+        value: (prop) => calculateProjectedROI(prop, 5) - (Math.pow(1 + getBenchmarkRate() / 100, 5) - 1) * 100
+    }
+};
+
+const screeningOperators = {
+    '>=': { symbol: '≥', test: (value, threshold) => value >= threshold },
+    '>': { symbol: '>', test: (value, threshold) => value > threshold },
+    '<=': { symbol: '≤', test: (value, threshold) => value <= threshold },
+    '<': { symbol: '<', test: (value, threshold) => value < threshold }
+};
+
+// Every rule with the property's value and whether it passed. A metric without a value
+// (no loan for DSCR, no IRR) fails its rule.
+const evaluateScreening = (prop) => {
+    const getMetrics = lazyMetrics(prop);
+    return settings.screeningRules.map(rule => {
+        const metric = screeningMetrics[rule.metric];
+        const operator = screeningOperators[rule.operator];
+        const value = metric ? metric.value(prop, getMetrics) : null;
+        const passed = Boolean(operator) && value !== null && isFinite(value) && operator.test(value, rule.threshold);
+        return { rule, value, passed };
+    });
+};
+
+// --- Sensitivity Analysis ---
+// Inputs that can be moved by a relative change. `apply` returns the changed fields for a
+// factor such as 1.1, `describe` the changed value for display. Inflation moves appreciation,
+// rent growth and cost growth together.
+const scaledField = (field, format) => ({
+    apply: (prop, factor) => ({ [field]: prop[field] * factor }),
+    describe: (prop, factor) => format(prop[field] * factor, prop)
+});
+const formatScaledMoney = (value, prop) => formatCompact(value, prop.currency);
+// A short-term let moves with its nightly rate; cleaning per stay stays put
+const scaleIncome = (prop, factor) => ({
+    rent: prop.rent * factor,
+    shortTerm: prop.shortTerm && { ...prop.shortTerm, nightlyRate: prop.shortTerm.nightlyRate * factor }
+});
+
+const sensitivityInputs = [
+    { key: 'price', label: 'price', ...scaledField('price', formatScaledMoney) },
+    {
+        key: 'rent',
+        label: 'rent',
+        apply: scaleIncome,
+        describe: (prop, factor) => formatCompact(getMonthlyIncome({ ...prop, ...scaleIncome(prop, factor) }), prop.currency)
+    },
+    { key: 'rate', label: 'interestRate', ...scaledField('rate', value => formatPercent(value)) },
+    { key: 'renoCost', label: 'renovationShort', ...scaledField('renoCost', formatScaledMoney) },
+    { key: 'afterRenoValue', label: 'valueAfterRenovationShort', ...scaledField('afterRenoValue', formatScaledMoney) },
+    {
+        key: 'monthlyCosts',
+        label: 'monthlyCostsShort',
+        apply: (prop, factor) => ({
+            monthlyCosts: prop.monthlyCosts * factor,
+            costItems: prop.costItems.map(item => ({ ...item, amount: item.amount * factor }))
+        }),
+        describe: (prop, factor) => formatCompact(prop.operatingCosts * factor, prop.currency)
+    },
+    {
+        key: 'inflation',
+        label: 'inflation',
+        apply: (prop, factor) => {
+            const { appreciation, rentGrowth, costGrowth } = getGrowthRates(prop);
+            return { appreciation: appreciation * 100 * factor, rentGrowth: rentGrowth * 100 * factor, costGrowth: costGrowth * 100 * factor };
+        },
+        describe: (prop, factor) => formatPercent(getGrowthRates(prop).appreciation * 100 * factor)
     }
+];
+
+// A recalculated copy of the property with each input in `changes` moved by its percentage
+const applySensitivity = (prop, changes) => {
+    const varied = Object.entries(changes).reduce((fields, [key, change]) => {
+        const input = sensitivityInputs.find(i => i.key === key);
+        return { ...fields, ...input.apply(prop, 1 + change / 100) };
+    }, {});
+    return recalculateProperty({ ...prop, ...varied });
+};
+
+// Monthly cashflow is the year 1 figure shown in the table; ROI is the projection at the horizon
+const sensitivityMetrics = {
+    roi: { label: 'roi', value: (prop, years) => calculateProjectedROI(prop, years), format: value => formatPercent(value, 1) },
+    cashflow: { label: 'cashflow', value: (prop) => prop.cashflow, format: (value, prop) => formatMoney(value, prop.currency) }
+};
+
+// ROI at the horizon with every input moved down and up on its own, largest spread first
+const calculateTornado = (prop, years, change) => {
+    const base = calculateProjectedROI(prop, years);
+    const rows = sensitivityInputs.map(input => {
+        const low = calculateProjectedROI(applySensitivity(prop, { [input.key]: -change }), years);
+        const high = calculateProjectedROI(applySensitivity(prop, { [input.key]: change }), years);
+        return { key: input.key, label: input.label, low, high, spread: Math.abs(high - low) };
+    });
+    return { base, rows: rows.sort((a, b) => b.spread - a.spread) };
+};
+
+// Two inputs moved together over -change … +change in five steps
+const calculateSensitivityGrid = (prop, rowKey, columnKey, change, metricKey, years) => {
+    const steps = [-change, -change / 2, 0, change / 2, change];
+    const metric = sensitivityMetrics[metricKey];
+    return {
+        steps,
+        values: steps.map(rowChange => steps.map(columnChange =>
+            metric.value(applySensitivity(prop, { [rowKey]: rowChange, [columnKey]: columnChange }), years)
+        ))
+    };
+};
+
+// --- Scenarios ---
+// A scenario is a named set of overrides on top of the property's own inputs (the base,
+// id 0). The active scenario drives the table, the charts and the detail view; other
+// scenarios can be listed as table sub-rows and plotted next to it.
+const baseScenarioId = 0;
+
+const scenarioAmount = (scale, unit) => ({
+    toInput: value => value / scale,
+    fromInput: value => value * scale,
+    unit: prop => `${unit} ${getCurrencySymbol(prop.currency)}`
+});
+const scenarioPercent = { toInput: value => value, fromInput: value => value, unit: () => '%' };
+const scenarioOverride = (key, fallback) => ({ base: prop => resolveRate(prop[key], settings[fallback]) });
+
+// Inputs a scenario can override, in the units they are entered in.
+const scenarioFields = [
+    { key: 'price', label: 'price', ...scenarioAmount(1000000, 'M') },
+    { key: 'downPaymentPercent', label: 'downPayment', ...scenarioPercent },
+    { key: 'renoCost', label: 'renovationShort', ...scenarioAmount(1000000, 'M') },
+    { key: 'afterRenoValue', label: 'valueAfterRenovationShort', ...scenarioAmount(1000000, 'M') },
+    { key: 'rent', label: 'rent', ...scenarioAmount(1000, 'k') },
+    { key: 'monthlyCosts', label: 'monthlyCostsShort', ...scenarioAmount(1000, 'k') },
+    { key: 'rate', label: 'interestRate', ...scenarioPercent },
+    { key: 'appreciation', label: 'appreciation', ...scenarioPercent, ...scenarioOverride('appreciation', 'appreciation') },
+    { key: 'rentGrowth', label: 'rentGrowth', ...scenarioPercent, ...scenarioOverride('rentGrowth', 'rentGrowth') },
+    { key: 'costGrowth', label: 'costGrowth', ...scenarioPercent, ...scenarioOverride('costGrowth', 'costGrowth') },
+    {
+        key: 'vacancyRate',
+        label: 'vacancy',
+        toInput: value => vacancyFromPercent(value),
+        fromInput: value => vacancyToPercent(value),
+        unit: () => vacancyUnitLabel(),
+        ...scenarioOverride('vacancyRate', 'vacancyRate')
+    },
+    { key: 'badDebtRate', label: 'badDebt', ...scenarioPercent, ...scenarioOverride('badDebtRate', 'badDebtRate') }
+];
+
+const getScenarioBaseValue = (prop, field) => field.base ? field.base(prop) : prop[field.key];
+
+const getScenarioName = (prop, scenarioId) => {
+    const scenario = prop.scenarios.find(s => s.id === scenarioId);
+    return scenario ? scenario.name : t('baseScenario');
+};
+
+// Views are recalculated copies, rebuilt whenever the property itself is recalculated
+const scenarioCache = new WeakMap();
+
+const getScenarioView = (prop, scenarioId = prop.activeScenario) => {
+    const scenario = (prop.scenarios || []).find(s => s.id === scenarioId);
+    if (!scenario) return prop;
+    if (!scenarioCache.has(prop)) scenarioCache.set(prop, new Map());
+    const views = scenarioCache.get(prop);
+    if (!views.has(scenario.id)) views.set(scenario.id, recalculateProperty({ ...prop, ...scenario.overrides }));
+    return views.get(scenario.id);
+};
+
+// The active scenario of every property, then the other scenarios picked for plotting.
+// The scenario name is added to the label once it is not the only base line of its property.
+const getChartSeries = () => properties.flatMap(prop => {
+    const ids = [prop.activeScenario, ...prop.plottedScenarios.filter(id => id !== prop.activeScenario)]
+        .filter(id => id === baseScenarioId || prop.scenarios.some(s => s.id === id));
+    return ids.map(id => ({
+        prop: getScenarioView(prop, id),
+        label: ids.length > 1 || id !== baseScenarioId ? `${prop.name} (${getScenarioName(prop, id)})` : prop.name
+    }));
+});
+
+// --- Portfolio ---
+// Properties enter the shared timeline in their purchase year: one bought in year 2
+// contributes its own year 1 in timeline year 3 and nothing before. Portfolio amounts
+// are summed in the display currency.
+const calendarYear = (timelineYear) => settings.startYear + timelineYear;
+
+// `amountAt(ownYear)` placed on the timeline; null before the purchase
+const onTimeline = (prop, year, amountAt) => year < prop.purchaseYear ? null : amountAt(year - prop.purchaseYear);
+
+// Own-year amounts are in money of the purchase year; today's money deflates the years before it as well
+const fromPurchase = (prop, amount, { real = false } = {}) => real ? deflate(amount, prop.purchaseYear) : amount;
+
+const getPortfolioProperties = () => properties
+    .filter(prop => prop.inPortfolio)
+    .map(prop => getScenarioView(prop));
+
+// Sum of `amountAt(prop, ownYear)` over the properties already bought by portfolio `year`
+const sumPortfolio = (props, year, amountAt) => props.reduce((sum, prop) => {
+    const ownYear = year - prop.purchaseYear;
+    if (ownYear < 0) return sum;
+    return sum + convertCurrency(amountAt(prop, ownYear), prop.currency, getDisplayCurrency());
+}, 0);
+
+// With the reinvestment rule, the after-tax cashflow of the properties already owned builds
+// up a pool that pays into the initial cash of the next purchases, in purchase order. A year
+// with negative cashflow draws the pool down, never below zero. Returns the amount funded
+// per property, in its own currency.
+const buildFundingPlan = (props) => {
+    const funding = new Map();
+    if (!settings.reinvestCashflow || props.length === 0) return funding;
+
+    const lastPurchase = Math.max(...props.map(prop => prop.purchaseYear));
+    const cashflows = props.map(prop => buildCashflowSeries(prop, lastPurchase - prop.purchaseYear));
+    const order = props.map((prop, index) => index).sort((a, b) => props[a].purchaseYear - props[b].purchaseYear);
+    const display = getDisplayCurrency();
+    let pool = 0;
+    let year = 0;
+    order.forEach(index => {
+        const prop = props[index];
+        // Timeline year `year + 1` pays out own year `year + 1 - purchaseYear`
+        for (; year < prop.purchaseYear; year++) {
+            props.forEach((owner, ownerIndex) => {
+                const row = cashflows[ownerIndex][year - owner.purchaseYear];
+                if (row) pool += convertCurrency(row.afterTaxCashflow, owner.currency, display);
+            });
+            pool = Math.max(0, pool);
+        }
+        const amount = Math.min(pool, Math.max(0, convertCurrency(prop.totalInvested, prop.currency, display)));
+        pool -= amount;
+        funding.set(prop, convertCurrency(amount, display, prop.currency));
+    });
+    return funding;
+};
+
+// Cumulative profit and ROI at portfolio `year`, with the options of calculateProjectedProfit.
+// Initial cash funded from earlier cashflow is not invested again: it only lowers the
+// out-of-pocket amount, while profit already counts that cashflow in its own property.
+const calculatePortfolioReturn = (props, year, options = {}, funding = buildFundingPlan(props)) => {
+    const profit = sumPortfolio(props, year, (prop, ownYear) => fromPurchase(prop, calculateProjectedProfit(prop, ownYear, options), options));
+    const invested = sumPortfolio(props, year, prop => fromPurchase(prop, prop.totalInvested - (funding.get(prop) || 0), options));
+    return { profit, invested, roi: invested > 0 ? (profit / invested) * 100 : 0 };
+};
 
-    const remainingLoan = getRemainingBalance(prop.loanAmount, prop.rate, prop.term, targetYear);
-    const equity = currentPrice - remainingLoan;
-    return (equity + accumulatedCashflow) - prop.totalInvested;
+// Headline figures with every property as bought; ratios use the first year of each
+const calculatePortfolioSummary = (props, funding = buildFundingPlan(props)) => {
+    const firstYears = props.map(prop => buildCashflowSeries(prop, 1)[0]);
+    const display = getDisplayCurrency();
+    const sum = (amountOf) => props.reduce((total, prop, index) =>
+        total + convertCurrency(amountOf(prop, firstYears[index]), prop.currency, display), 0);
+    const value = sum(prop => getProjectedValue(prop, 0));
+    const debt = sum(prop => prop.loanAmount);
+    const reinvested = sum(prop => funding.get(prop) || 0);
+    const invested = sum(prop => prop.totalInvested) - reinvested;
+    const noi = sum((prop, firstYear) => firstYear.noi);
+    const debtService = sum((prop, firstYear) => firstYear.debtService);
+    // Voluntary prepayments are a use of the cashflow and cash-out is not a return, as in calculateMetrics
+    const yearlyCashflow = sum((prop, firstYear) => firstYear.cashflow + firstYear.prepayment - firstYear.refinanceCash);
+    return {
+        invested,
+        reinvested,
+        debt,
+        equity: value - debt,
+        monthlyCashflow: sum(prop => prop.cashflow),
+        ltv: value > 0 ? (debt / value) * 100 : null,
+        dscr: debtService > 0 ? noi / debtService : null,
+        cashOnCash: invested > 0 ? (yearlyCashflow / invested) * 100 : null
+    };
 };
 
 const recalculateProperty = (prop) => {
     const price = prop.price;
-    const rent = prop.rent;
     const downPaymentPercent = prop.downPaymentPercent;
     const renoCost = prop.renoCost;
-    const rate = prop.rate;
-    const term = prop.term;
 
     // Default new fields for backwards compatibility
     if (!prop.afterRenoValue) prop.afterRenoValue = price;
     if (!prop.monthlyCosts) prop.monthlyCosts = 0;
+    if (!prop.costItems) prop.costItems = [];
+    if (!prop.purchaseCosts) prop.purchaseCosts = null;
+    if (!prop.area) prop.area = null;
+    if (!prop.rooms) prop.rooms = null;
+    if (!prop.location) prop.location = '';
+    if (!prop.tags) prop.tags = [];
+    if (!prop.listingUrl) prop.listingUrl = '';
+    if (!prop.notes) prop.notes = '';
+    // Ids are creation timestamps, so records from before the field get their date from the id
+    if (!prop.dateAdded) prop.dateAdded = new Date(Math.floor(prop.id) || Date.now()).toISOString().slice(0, 10);
+    if (!prop.currency) prop.currency = 'huf';
+    if (!incomeModes[prop.incomeMode]) prop.incomeMode = 'longTerm';
+    if (!prop.shortTerm) prop.shortTerm = null;
+    if (!prop.scenarios) prop.scenarios = [];
+    if (!prop.plottedScenarios) prop.plottedScenarios = [];
+    if (!prop.refinances) prop.refinances = [];
+    if (!prop.renoMonths) prop.renoMonths = 0;
+    if (!renoSchedules[prop.renoSchedule]) prop.renoSchedule = 'upfront';
+    if (prop.inPortfolio === undefined) prop.inPortfolio = true;
+    if (!prop.purchaseYear) prop.purchaseYear = 0;
+    if (prop.activeScenario !== baseScenarioId && !prop.scenarios.some(s => s.id === prop.activeScenario)) prop.activeScenario = baseScenarioId;
+    Object.entries(defaultExit).forEach(([key, value]) => {
+        if (prop[key] === undefined || prop[key] === null) prop[key] = value;
+    });
+    // Steps saved with a whole-term fix were never applied
+    if (prop.fixedYears === null || prop.fixedYears === undefined) prop.rateSteps = [];
 
     // Fees
-    const tax = price * (settings.taxRate / 100);
-    const lawyer = price * (settings.lawyerRate / 100);
+    const purchaseFees = getPurchaseCosts(prop).reduce((sum, item) => sum + item.amount, 0);
     const downPayment = price * (downPaymentPercent / 100);
 
     // Total Initial Investment
-    const totalInvested = downPayment + renoCost + tax + lawyer;
+    const totalInvested = downPayment + renoCost + purchaseFees;
 
-    const loanAmount = price - downPayment;
-    const monthlyPayment = calculateMortgage(loanAmount, rate, term);
-    const cashflow = rent - monthlyPayment - prop.monthlyCosts;
+    prop.downPayment = downPayment;
+    prop.loanAmount = price - downPayment;
+    prop.mainLoanAmount = getMainLoanAmount(prop);
+    loanCache.delete(prop);
+    scenarioCache.delete(prop);
+    const { schedule } = getLoanSchedule(prop);
+    const firstMonth = schedule[0];
+    // The payment once every grace period is over, so interest-only months do not flatter the cashflow
+    const graceMonths = Math.max(prop.graceMonths || 0, ...(prop.tranches || []).map(tranche => tranche.graceMonths || 0));
+    const firstRepayment = schedule[graceMonths] || firstMonth;
+    const monthlyPayment = firstRepayment ? firstRepayment.payment : 0;
+    const rent = getMonthlyIncome(prop);
+    const effectiveRent = getEffectiveRent(prop, rent).effective;
+    const monthlyPrepayment = firstMonth ? firstMonth.prepayment : 0;
+    // During works the year 1 figure spreads the rent of the let months over the whole year
+    const collectedRent = effectiveRent * getRentedShare(prop, 1);
+    const operatingCosts = getOperatingCosts(prop, 1, collectedRent * 12).total / 12;
+    const cashflow = collectedRent - monthlyPayment - monthlyPrepayment - operatingCosts;
 
     // Update prop object
-    prop.downPayment = downPayment;
+    prop.purchaseFees = purchaseFees;
     prop.totalInvested = totalInvested;
-    prop.loanAmount = loanAmount;
     prop.monthlyPayment = monthlyPayment;
+    prop.monthlyIncome = rent;
+    prop.effectiveRent = effectiveRent;
+    prop.operatingCosts = operatingCosts;
     prop.cashflow = cashflow;
 
     return prop;
@@ -227,6 +1254,7 @@ const pValueInput = document.getElementById('pValue');
 const pDownPercentInput = document.getElementById('pDownPercent');
 const pDownValueInput = document.getElementById('pDownValue');
 const pRenoInput = document.getElementById('pReno');
+const pCurrencyInput = document.getElementById('pCurrency');
 const downPaymentDisplay = document.getElementById('downPaymentDisplay');
 const initialCashInfo = document.getElementById('initialCashInfo');
 
@@ -241,15 +1269,14 @@ const updateDownPaymentDisplay = () => {
         const actualPrice = priceMillions * 1000000;
         const renoCost = renoMillions * 1000000;
         const downPaymentValue = actualPrice * (percent / 100);
-        const tax = actualPrice * (settings.taxRate / 100);
-        const lawyer = actualPrice * (settings.lawyerRate / 100);
-        const totalCash = downPaymentValue + renoCost + tax + lawyer;
-        downPaymentDisplay.textContent = `Total Cash Needed: ${formatHUF(totalCash)}`;
+        const fees = getPurchaseCosts({ price: actualPrice, purchaseCosts: readPurchaseCostEditor('pPurchaseCosts') });
+        const totalCash = fees.reduce((sum, item) => sum + item.amount, downPaymentValue + renoCost);
+        downPaymentDisplay.textContent = t('totalCashNeeded', { amount: formatMoney(totalCash, pCurrencyInput.value) });
         const feeLabel = document.getElementById('initialCashFeeLabel');
-        if (feeLabel) feeLabel.textContent = `Tax (${settings.taxRate}%) + Lawyer (${settings.lawyerRate}%)`;
+        if (feeLabel) feeLabel.textContent = fees.map(item => ` + ${describePurchaseCost(item, pCurrencyInput.value)}`).join('');
     } else {
         initialCashInfo.classList.add('hidden');
-        downPaymentDisplay.textContent = 'Total Cash Needed: 0 Ft';
+        downPaymentDisplay.textContent = t('totalCashNeeded', { amount: formatMoney(0) });
     }
 };
 
@@ -279,8 +1306,27 @@ pValueInput.addEventListener('input', syncDownFromPercent);
 pDownPercentInput.addEventListener('input', syncDownFromPercent);
 pDownValueInput.addEventListener('input', syncDownFromValue);
 pRenoInput.addEventListener('input', updateDownPaymentDisplay);
+
+// Sidebar amounts are entered in the currency of the new property
+const updateCurrencySuffixes = () => {
+    document.querySelectorAll('[data-currency-suffix]').forEach(el => {
+        el.textContent = `${el.dataset.currencySuffix} ${getCurrencySymbol(pCurrencyInput.value)}`.trim();
+    });
+    updateDownPaymentDisplay();
+};
+
+pCurrencyInput.addEventListener('change', updateCurrencySuffixes);
+
+const updateSidebarRateSteps = () => updateRateStepsInput(document.getElementById('pFixedYears').value, document.getElementById('pRateSteps'));
+
+document.getElementById('pFixedYears').addEventListener('change', updateSidebarRateSteps);
+const getBenchmarkRate = () => parseFloat(benchmarkRateInput.value) || 0;
+
 benchmarkRateInput.addEventListener('input', () => {
-    if (properties.length > 0) renderCharts();
+    if (properties.length === 0) return;
+    renderCharts();
+    // NPV and the benchmark screening rule depend on the benchmark rate
+    if (preferences.metricColumns.includes('npv') || settings.screeningRules.some(rule => rule.metric === 'roi5OverBenchmark')) renderTable();
 });
 
 // --- Form Submit ---
@@ -300,20 +1346,314 @@ const clearFormErrors = () => {
     formErrors.classList.add('hidden');
 };
 
+// Optional override inputs: empty means "use the global default"
+const parseOptional = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+};
+
+// Vacancy is stored as a percentage but can be entered as months per year
+const vacancyToPercent = (value) => {
+    if (value === null || value === undefined) return value;
+    return preferences.vacancyUnit === 'months' ? value / 12 * 100 : value;
+};
+
+const vacancyFromPercent = (percent) => {
+    if (percent === null || percent === undefined) return percent;
+    const value = preferences.vacancyUnit === 'months' ? percent * 12 / 100 : percent;
+    return parseFloat(value.toFixed(2));
+};
+
+const vacancyUnitLabel = () => preferences.vacancyUnit === 'months' ? t('monthsPerYearShort') : '%';
+
+// --- Row Editors ---
+// Lists edited one row per item: extra loans, refinances, cost items, purchase costs and
+// screening rules. The same rows are used in the sidebar, the table edit mode and the settings
+// drawer. Rows are marked with their editor's kind and their inputs with `data-field`, so
+// adding, removing and reading rows works alike for every list.
+const rowEditors = {};
+
+// The input of `key` within a row or a fixed form such as the short-term editor
+const fieldInput = (element, key) => element.querySelector(`[data-field="${key}"]`);
+
+// `rowHTML(item)` renders the inputs of one row (`{}` for a new row) and `read(field, row, index)`
+// turns a row back into an item, `field(key)` being the row's input for that field. `keep`
+// drops rows still left empty, `sort` orders the items read, `emptyRows` fill an editor with
+// no items and `onRemove` runs once a row has been removed.
+const createRowEditor = (kind, { rowHTML, removeLabel, read, keep = () => true, sort, emptyRows = [], rowAttributes = () => '', onRemove }) => {
+    const row = (item = {}) => `
+    <div data-editor-row="${kind}" ${rowAttributes(item)} class="grid grid-cols-12 gap-1 items-center text-xs">
+        ${rowHTML(item)}
+        <button type="button" onclick="removeEditorRow(this)" class="col-span-1 text-red-500 hover:text-red-700" title="${t(removeLabel)}" data-i18n-title="${removeLabel}">✕</button>
+    </div>
+`;
+    const rowsHTML = (items = []) => (items.length > 0 ? items : emptyRows).map(row).join('');
+    const editor = {
+        row,
+        rowsHTML,
+        onRemove,
+        render: (containerId, items) => {
+            const container = document.getElementById(containerId);
+            if (container) container.innerHTML = rowsHTML(items);
+        },
+        read: (containerId) => {
+            const container = document.getElementById(containerId);
+            if (!container) return [];
+            const items = Array.from(container.querySelectorAll(`[data-editor-row="${kind}"]`))
+                .map((rowElement, index) => read((key) => fieldInput(rowElement, key), rowElement, index))
+                .filter(keep);
+            return sort ? items.sort(sort) : items;
+        }
+    };
+    rowEditors[kind] = editor;
+    return editor;
+};
+
+window.addEditorRow = (kind, containerId) => {
+    const container = document.getElementById(containerId);
+    if (container) container.insertAdjacentHTML('beforeend', rowEditors[kind].row());
+};
+
+window.removeEditorRow = (button) => {
+    const row = button.closest('[data-editor-row]');
+    row.remove();
+    const { onRemove } = rowEditors[row.dataset.editorRow];
+    if (onRemove) onRemove();
+};
+
+// --- Loan Tranche Editor ---
+// Rows without an amount are ignored, so an untouched empty row adds nothing
+const trancheRows = createRowEditor('tranche', {
+    rowHTML: (tranche) => `
+        <input type="text" data-field="name" class="table-input col-span-4 text-xs" value="${escapeHTML(tranche.name || '')}" placeholder="${t('name')}" data-i18n-placeholder="name">
+        <input type="number" step="0.1" data-field="amount" class="table-input col-span-2 text-xs" value="${tranche.amount ? tranche.amount / 1000000 : ''}" placeholder="M">
+        <input type="number" step="0.01" data-field="rate" class="table-input col-span-2 text-xs" value="${tranche.rate ?? ''}" placeholder="%">
+        <input type="number" step="1" data-field="term" class="table-input col-span-1 text-xs" value="${tranche.term ?? ''}" placeholder="${t('yrs')}" data-i18n-placeholder="yrs">
+        <input type="number" step="1" data-field="graceMonths" class="table-input col-span-2 text-xs" value="${tranche.graceMonths || ''}" placeholder="${t('grace')}" data-i18n-placeholder="grace">`,
+    removeLabel: 'removeLoan',
+    read: (field, row, index) => ({
+        name: field('name').value.trim() || t('loanNumber', { number: index + 2 }),
+        amount: (parseFloat(field('amount').value) || 0) * 1000000,
+        rate: parseFloat(field('rate').value) || 0,
+        term: parseFloat(field('term').value) || 0,
+        graceMonths: parseFloat(field('graceMonths').value) || 0
+    }),
+    keep: tranche => tranche.amount !== 0
+});
+
+// --- Refinance Editor ---
+// One row per refinance event; rows without a year are ignored
+const refinanceRows = createRowEditor('refinance', {
+    rowHTML: (event) => `
+        <input type="number" step="1" data-field="year" class="table-input col-span-2 text-xs" value="${event.year ?? ''}" placeholder="${t('yearShort')}" data-i18n-placeholder="yearShort">
+        <input type="number" step="1" data-field="ltv" class="table-input col-span-2 text-xs" value="${event.ltv ?? ''}" placeholder="LTV">
+        <input type="number" step="0.01" data-field="rate" class="table-input col-span-2 text-xs" value="${event.rate ?? ''}" placeholder="%">
+        <input type="number" step="1" data-field="term" class="table-input col-span-2 text-xs" value="${event.term ?? ''}" placeholder="${t('yrs')}" data-i18n-placeholder="yrs">
+        <input type="number" step="1" data-field="fees" class="table-input col-span-3 text-xs" value="${event.fees ? event.fees / 1000 : ''}" placeholder="${t('fees')}" data-i18n-placeholder="fees">`,
+    removeLabel: 'removeRefinance',
+    read: (field) => ({
+        year: parseOptional(field('year').value),
+        ltv: parseFloat(field('ltv').value) || 0,
+        rate: parseFloat(field('rate').value) || 0,
+        term: parseFloat(field('term').value) || 0,
+        fees: (parseFloat(field('fees').value) || 0) * 1000
+    }),
+    keep: event => event.year !== null,
+    sort: (a, b) => a.year - b.year
+});
+
+// --- Cost Item Editor ---
+// Amounts are thousands for fixed items and percentages otherwise. An empty editor offers the
+// common items; rows without an amount are ignored, so untouched preset rows add nothing.
+const costItemRows = createRowEditor('costItem', {
+    rowHTML: (item) => `
+        <input type="text" data-field="name" class="table-input col-span-4 text-xs" value="${escapeHTML(item.name || '')}"
+               placeholder="${t(item.nameKey || 'name')}" data-i18n-placeholder="${item.nameKey || 'name'}">
+        <select data-field="basis" class="table-input col-span-3 text-xs">${optionsHTML(costItemBases, item.basis || 'monthly')}</select>
+        <input type="number" step="0.1" data-field="amount" class="table-input col-span-2 text-xs"
+               value="${item.amount ? (isPercentCost(item) ? item.amount : item.amount / 1000) : ''}" placeholder="k / %">
+        <input type="number" step="0.1" data-field="growth" class="table-input col-span-2 text-xs" value="${item.growth ?? ''}"
+               placeholder="${t('growthShort')}" data-i18n-placeholder="growthShort" title="${t('costGrowthTitle')}" data-i18n-title="costGrowthTitle">`,
+    removeLabel: 'removeCostItem',
+    read: (field) => {
+        const basis = field('basis').value;
+        const amount = parseFloat(field('amount').value) || 0;
+        return {
+            name: field('name').value.trim() || field('name').placeholder,
+            basis,
+            amount: isPercentCost({ basis }) ? amount : amount * 1000,
+            growth: parseOptional(field('growth').value)
+        };
+    },
+    keep: item => item.amount !== 0,
+    emptyRows: costItemPresets
+});
+
+costItemRows.render('pCostItems');
+
+// --- Short-Term Editor ---
+// "40, 45, , 70" → [40, 45, null, 70]; empty months follow the flat occupancy
+const parseSeasonality = (text) => {
+    const months = text.split(',').map(parseOptional);
+    return months.some(value => value !== null) ? months : null;
+};
+
+const formatSeasonality = (seasonality) => (seasonality || []).map(value => value === null ? '' : value).join(', ');
+
+// Empty inputs show their default as the placeholder; amounts are entered in thousands
+const shortTermFields = [
+    { key: 'nightlyRate', label: 'nightlyRate', unit: 'k', scale: 1000 },
+    { key: 'occupancy', label: 'occupancy', unit: '%' },
+    { key: 'platformFee', label: 'platformFee', unit: '%' },
+    { key: 'touristTax', label: 'touristTax', unit: '%' },
+    { key: 'cleaningCost', label: 'cleaningPerStay', unit: 'k', scale: 1000 },
+    { key: 'stayLength', label: 'averageStay', unit: 'nightsShort' }
+];
+
+const shortTermEditorHTML = (shortTerm) => `
+    <div class="grid grid-cols-2 gap-x-2 gap-y-1 text-xs">
+        ${shortTermFields.map(field => {
+            const value = shortTerm ? shortTerm[field.key] / (field.scale || 1) : '';
+            const placeholder = field.key === 'nightlyRate' ? '' : defaultShortTerm[field.key] / (field.scale || 1);
+            return `
+        <label class="flex items-center gap-1 text-gray-500 dark:text-zinc-400">
+            <input type="number" step="0.1" min="0" data-field="${field.key}" class="table-input w-14 text-xs"
+                   value="${value}" placeholder="${placeholder}">
+            ${field.unit === 'nightsShort' ? `<span data-i18n="nightsShort">${t('nightsShort')}</span>` : `<span>${field.unit}</span>`}
+            <span class="truncate" data-i18n="${field.label}">${t(field.label)}</span>
+        </label>`;
+        }).join('')}
+    </div>
+    <input type="text" data-field="seasonality" class="table-input w-full text-xs mt-1"
+           value="${formatSeasonality(shortTerm && shortTerm.seasonality)}"
+           placeholder="${t('seasonalityPlaceholder')}" data-i18n-placeholder="seasonalityPlaceholder">
+`;
+
+const renderShortTermEditor = (containerId, shortTerm = null) => {
+    document.getElementById(containerId).innerHTML = shortTermEditorHTML(shortTerm);
+};
+
+// Without a nightly rate there is no short-term plan
+const readShortTermEditor = (containerId) => {
+    const container = document.getElementById(containerId);
+    if (!container) return null;
+    const field = (key) => fieldInput(container, key).value;
+    if (parseOptional(field('nightlyRate')) === null) return null;
+    return shortTermFields.reduce((shortTerm, { key, scale }) => ({
+        ...shortTerm,
+        [key]: (parseOptional(field(key)) ?? defaultShortTerm[key] / (scale || 1)) * (scale || 1)
+    }), { seasonality: parseSeasonality(field('seasonality')) });
+};
+
+renderShortTermEditor('pShortTerm');
+
+// The long-term rent is only needed when it is the income
+const updateIncomeModeInputs = () => {
+    document.getElementById('pRent').required = document.getElementById('pIncomeMode').value !== 'shortTerm';
+};
+
+document.getElementById('pIncomeMode').addEventListener('change', updateIncomeModeInputs);
+
+// --- Purchase Cost Editor ---
+// Rows tied to a global setting show its rate as the placeholder and keep following it while
+// empty. Rows without an amount are ignored unless they follow a setting.
+const purchaseCostRows = createRowEditor('purchaseCost', {
+    rowHTML: (item) => `
+        <input type="text" data-field="name" class="table-input col-span-5 text-xs" value="${escapeHTML(item.name || '')}"
+               placeholder="${t(purchaseCostSettings[item.setting] || 'name')}" data-i18n-placeholder="${purchaseCostSettings[item.setting] || 'name'}">
+        <select data-field="basis" class="table-input col-span-4 text-xs">${optionsHTML(purchaseCostBases, item.basis || 'percent')}</select>
+        <input type="number" step="0.1" min="0" data-field="amount" class="table-input col-span-2 text-xs"
+               value="${item.amount === null || item.amount === undefined ? '' : (item.basis === 'fixed' ? item.amount / 1000 : item.amount)}"
+               placeholder="${item.setting ? formatNumber(settings[item.setting]) : ''}">`,
+    rowAttributes: (item) => item.setting ? `data-purchase-setting="${item.setting}"` : '',
+    removeLabel: 'removePurchaseCost',
+    read: (field, row) => {
+        const basis = field('basis').value;
+        const amount = parseOptional(field('amount').value);
+        const item = {
+            name: field('name').value.trim(),
+            basis,
+            amount: amount !== null && basis === 'fixed' ? amount * 1000 : amount
+        };
+        if (row.dataset.purchaseSetting) item.setting = row.dataset.purchaseSetting;
+        return item;
+    },
+    keep: item => item.setting || item.amount,
+    onRemove: () => updateDownPaymentDisplay()
+});
+
+// Null when the list is just the defaults, so the property keeps following the global settings
+const readPurchaseCostEditor = (containerId) => {
+    const items = purchaseCostRows.read(containerId);
+    return JSON.stringify(items) === JSON.stringify(defaultPurchaseCosts) ? null : items;
+};
+
+// Setting placeholders follow the settings drawer
+const refreshPurchaseCostDefaults = () => {
+    document.querySelectorAll('[data-purchase-setting]').forEach(row => {
+        row.querySelector('[data-field="amount"]').placeholder = formatNumber(settings[row.dataset.purchaseSetting]);
+    });
+};
+
+const pPurchaseCostsEditor = document.getElementById('pPurchaseCosts');
+purchaseCostRows.render('pPurchaseCosts', defaultPurchaseCosts);
+pPurchaseCostsEditor.addEventListener('input', updateDownPaymentDisplay);
+pPurchaseCostsEditor.addEventListener('change', updateDownPaymentDisplay);
+
 // --- Logic ---
 function addProperty() {
     if (isSharedView) return;
     clearFormErrors();
 
     const name = document.getElementById('pName').value;
+    const currency = pCurrencyInput.value;
+    const loanCurrency = document.getElementById('pLoanCurrency').value || null;
+    const fxDrift = parseFloat(document.getElementById('pFxDrift').value) || 0;
     const priceMillions = parseFloat(document.getElementById('pValue').value);
+    const area = parseOptional(document.getElementById('pArea').value);
+    const rooms = parseOptional(document.getElementById('pRooms').value);
+    const location = document.getElementById('pLocation').value.trim();
+    const tags = parseTags(document.getElementById('pTags').value);
+    const listingUrl = document.getElementById('pListingUrl').value.trim();
+    const notes = document.getElementById('pNotes').value.trim();
     const downPaymentPercent = parseFloat(document.getElementById('pDownPercent').value);
     const renoMillions = parseFloat(document.getElementById('pReno').value) || 0;
+    const renoMonths = parseFloat(document.getElementById('pRenoMonths').value) || 0;
+    const renoSchedule = document.getElementById('pRenoSchedule').value;
     const afterRenoMillions = parseFloat(document.getElementById('pAfterRenoValue').value) || 0;
     const monthlyCostsThousands = parseFloat(document.getElementById('pMonthlyCosts').value) || 0;
+    const costItems = costItemRows.read('pCostItems');
+    const purchaseCosts = readPurchaseCostEditor('pPurchaseCosts');
     const rate = parseFloat(document.getElementById('pRate').value);
     const term = parseFloat(document.getElementById('pTerm').value);
-    const rentThousands = parseFloat(document.getElementById('pRent').value);
+    const incomeMode = document.getElementById('pIncomeMode').value;
+    const shortTerm = readShortTermEditor('pShortTerm');
+    // A short-term let may leave the long-term rent empty; it is then only missing from the comparison
+    const rentThousands = incomeMode === 'shortTerm'
+        ? parseFloat(document.getElementById('pRent').value) || 0
+        : parseFloat(document.getElementById('pRent').value);
+    const appreciation = parseOptional(document.getElementById('pAppreciation').value);
+    const rentGrowth = parseOptional(document.getElementById('pRentGrowth').value);
+    const costGrowth = parseOptional(document.getElementById('pCostGrowth').value);
+    const vacancyRate = vacancyToPercent(parseOptional(document.getElementById('pVacancy').value));
+    const badDebtRate = parseOptional(document.getElementById('pBadDebt').value);
+    const taxRegime = document.getElementById('pTaxRegime').value || null;
+    const saleYear = parseOptional(document.getElementById('pSaleYear').value) ?? defaultExit.saleYear;
+    const purchaseCalendarYear = parseOptional(document.getElementById('pPurchaseYear').value);
+    const purchaseYear = purchaseCalendarYear === null ? 0 : purchaseCalendarYear - settings.startYear;
+    const agentFeePercent = parseOptional(document.getElementById('pAgentFee').value) ?? defaultExit.agentFeePercent;
+    const saleClosingCosts = (parseFloat(document.getElementById('pSaleClosingCosts').value) || 0) * 1000;
+    const prepaymentPenaltyPercent = parseFloat(document.getElementById('pPrepaymentPenalty').value) || 0;
+    const fixedYears = parseOptional(document.getElementById('pFixedYears').value);
+    const rateShock = parseFloat(document.getElementById('pRateShock').value) || 0;
+    const rateSteps = parseRateSteps(document.getElementById('pRateSteps').value);
+    const graceMonths = parseFloat(document.getElementById('pGraceMonths').value) || 0;
+    const tranches = trancheRows.read('pTranches');
+    const refinances = refinanceRows.read('pRefinances');
+    const extraPayment = (parseFloat(document.getElementById('pExtraPayment').value) || 0) * 1000;
+    const lumpSums = parseLumpSums(document.getElementById('pLumpSums').value);
+    const prepaymentStrategy = document.getElementById('pPrepaymentStrategy').value;
 
     const price = priceMillions * 1000000;
     const rent = rentThousands * 1000;
@@ -322,7 +1662,11 @@ function addProperty() {
     const monthlyCosts = monthlyCostsThousands * 1000;
 
     // Validate
-    const errors = validateProperty({ price, downPaymentPercent, rate, term, rent });
+    const errors = validateProperty({
+        price, downPaymentPercent, rate, term, rent, incomeMode, shortTerm, vacancyRate, badDebtRate, renoMonths, costItems, purchaseCosts, area, rooms, listingUrl,
+        saleYear, purchaseYear, agentFeePercent, prepaymentPenaltyPercent, fixedYears, rateSteps, graceMonths, tranches, refinances,
+        extraPayment, lumpSums
+    });
     if (errors.length > 0) {
         showFormErrors(errors);
         return;
@@ -331,14 +1675,50 @@ function addProperty() {
     let newProp = {
         id: Date.now(),
         name,
+        area,
+        rooms,
+        location,
+        tags,
+        listingUrl,
+        notes,
+        dateAdded: new Date().toISOString().slice(0, 10),
+        currency,
         price,
         rent,
         renoCost,
+        renoMonths,
+        renoSchedule,
         afterRenoValue,
         monthlyCosts,
+        costItems,
+        purchaseCosts,
         downPaymentPercent,
         rate,
         term,
+        appreciation,
+        rentGrowth,
+        costGrowth,
+        incomeMode,
+        shortTerm,
+        vacancyRate,
+        badDebtRate,
+        taxRegime,
+        saleYear,
+        agentFeePercent,
+        saleClosingCosts,
+        prepaymentPenaltyPercent,
+        purchaseYear,
+        fixedYears,
+        rateShock,
+        rateSteps,
+        graceMonths,
+        tranches,
+        extraPayment,
+        lumpSums,
+        prepaymentStrategy,
+        refinances,
+        loanCurrency: loanCurrency === currency ? null : loanCurrency,
+        fxDrift,
         isEditing: false
     };
 
@@ -349,53 +1729,223 @@ function addProperty() {
 
     document.getElementById('pName').value = '';
     document.getElementById('pValue').value = '';
+    document.getElementById('pArea').value = '';
+    ['pRooms', 'pLocation', 'pTags', 'pListingUrl', 'pNotes'].forEach(id => { document.getElementById(id).value = ''; });
     document.getElementById('pRent').value = '';
+    document.getElementById('pIncomeMode').value = 'longTerm';
+    updateIncomeModeInputs();
+    renderShortTermEditor('pShortTerm');
     document.getElementById('pReno').value = '0';
+    document.getElementById('pRenoMonths').value = '0';
+    document.getElementById('pRenoSchedule').value = 'upfront';
     document.getElementById('pAfterRenoValue').value = '';
     document.getElementById('pMonthlyCosts').value = '0';
+    costItemRows.render('pCostItems');
+    purchaseCostRows.render('pPurchaseCosts', defaultPurchaseCosts);
+    document.getElementById('pAppreciation').value = '';
+    document.getElementById('pRentGrowth').value = '';
+    document.getElementById('pCostGrowth').value = '';
+    document.getElementById('pVacancy').value = '';
+    document.getElementById('pBadDebt').value = '';
+    document.getElementById('pTaxRegime').value = '';
+    document.getElementById('pSaleYear').value = defaultExit.saleYear;
+    document.getElementById('pPurchaseYear').value = '';
+    document.getElementById('pAgentFee').value = defaultExit.agentFeePercent;
+    document.getElementById('pSaleClosingCosts').value = '0';
+    document.getElementById('pPrepaymentPenalty').value = '0';
+    document.getElementById('pFixedYears').value = '';
+    document.getElementById('pRateShock').value = '0';
+    document.getElementById('pRateSteps').value = '';
+    updateSidebarRateSteps();
+    document.getElementById('pGraceMonths').value = '0';
+    trancheRows.render('pTranches', []);
+    refinanceRows.render('pRefinances', []);
+    document.getElementById('pExtraPayment').value = '0';
+    document.getElementById('pLumpSums').value = '';
+    document.getElementById('pPrepaymentStrategy').value = 'term';
+    document.getElementById('pLoanCurrency').value = '';
+    document.getElementById('pFxDrift').value = '0';
     updateDownPaymentDisplay();
 }
 
 // --- Tooltip Logic ---
-window.showBreakdownTooltip = (e, id) => {
+// The figures a table row shows: the active scenario, or the own inputs while editing
+const getDisplayedProperty = (id) => {
     const prop = properties.find(p => p.id === id);
-    if(!prop) return;
-
-    const tax = prop.price * (settings.taxRate / 100);
-    const lawyer = prop.price * (settings.lawyerRate / 100);
+    return prop && !prop.isEditing ? getScenarioView(prop) : prop;
+};
 
-    tooltip.innerHTML = `
-        <div class="font-bold mb-2 border-b border-gray-600 pb-1 text-gray-200">Initial Cash Breakdown</div>
+// Monthly averages of a year of lettings
+const shortTermBreakdownHTML = (prop, row, totalRow) => {
+    const income = getShortTermIncome(prop);
+    const monthly = (amount) => formatCompact(amount / 12, prop.currency);
+    return `
+        <div class="font-bold mt-3 mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('shortTermIncome')}</div>
         <div class="space-y-1">
+            ${row(t('bookingRevenue', { nights: formatNumber(income.nights / 12, 1), rate: formatCompact(prop.shortTerm.nightlyRate, prop.currency) }), monthly(income.revenue))}
+            ${row(`${t('platformFee')} (${formatPercent(prop.shortTerm.platformFee)})`, `-${monthly(income.platformFee)}`)}
+            ${row(`${t('touristTax')} (${formatPercent(prop.shortTerm.touristTax)})`, `-${monthly(income.touristTax)}`)}
+            ${row(t('cleaningStays', { stays: formatNumber(income.stays / 12, 1) }), `-${monthly(income.cleaning)}`)}
+            ${totalRow(t('netIncome'), monthly(income.net))}
+        </div>`;
+};
+
+// Year 1 figures of the same flat let long-term and short-term, the active mode marked
+const incomeComparisonHTML = (prop) => `
+        <div class="font-bold mt-3 mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('incomeComparison')}</div>
+        <table class="w-full text-xs">
+            <thead>
+                <tr class="text-gray-400">
+                    <th></th>
+                    <th class="text-right font-normal pl-2">${t('effectiveRent')}</th>
+                    <th class="text-right font-normal pl-2">${t('cashflow')}</th>
+                    <th class="text-right font-normal pl-2">${t('roi5y')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${compareIncomeModes(prop).map(result => `
+                <tr class="${result.mode === prop.incomeMode ? 'text-indigo-300 font-bold' : ''}">
+                    <td class="text-gray-400">${t(incomeModes[result.mode])}</td>
+                    <td class="text-right pl-2">${formatCompact(result.income, prop.currency)}</td>
+                    <td class="text-right pl-2">${formatCompact(result.cashflow, prop.currency)}</td>
+                    <td class="text-right pl-2">${formatPercent(result.roi, 1)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+
+window.showBreakdownTooltip = (e, id) => {
+    const prop = getDisplayedProperty(id);
+    if(!prop) return;
+
+    const purchaseCosts = getPurchaseCosts(prop);
+    const rent = getEffectiveRent(prop);
+    const costs = getOperatingCosts(prop, 1, rent.effective * 12 * getRentedShare(prop, 1));
+
+    const row = (label, value) => `
             <div class="flex justify-between">
-                <span class="text-gray-400">Down Pmt:</span>
-                <span>${formatCompact(prop.downPayment)}</span>
-            </div>
-            <div class="flex justify-between">
-                <span class="text-gray-400">Renovation:</span>
-                <span>${formatCompact(prop.renoCost)}</span>
-            </div>
-            <div class="flex justify-between">
-                <span class="text-gray-400">Tax (${settings.taxRate}%):</span>
-                <span>${formatCompact(tax)}</span>
-            </div>
-            <div class="flex justify-between">
-                <span class="text-gray-400">Lawyer (${settings.lawyerRate}%):</span>
-                <span>${formatCompact(lawyer)}</span>
-            </div>
+                <span class="text-gray-400">${label}:</span>
+                <span>${value}</span>
+            </div>`;
+    const totalRow = (label, value) => `
             <div class="mt-2 pt-1 border-t border-gray-600 flex justify-between font-bold text-indigo-300">
-                <span>Total:</span>
-                <span>${formatCompact(prop.totalInvested)}</span>
-            </div>
+                <span>${label}:</span>
+                <span>${value}</span>
+            </div>`;
+
+    const details = [
+        prop.area ? row(t('area'), `${formatNumber(prop.area)} m²`) : '',
+        prop.rooms ? row(t('rooms'), formatNumber(prop.rooms)) : '',
+        prop.area ? row(t('pricePerSqm'), formatMoney(prop.price / prop.area, prop.currency)) : '',
+        prop.area ? row(t('rentPerSqm'), formatMoney(prop.monthlyIncome / prop.area, prop.currency)) : '',
+        row(t('dateAdded'), formatDate(prop.dateAdded))
+    ].join('');
+
+    tooltip.innerHTML = `
+        <div class="font-bold mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('listingDetails')}</div>
+        <div class="space-y-1">${details}</div>
+        ${prop.notes ? `<div class="mt-2 text-xs text-gray-300 whitespace-pre-line max-w-xs">${escapeHTML(prop.notes)}</div>` : ''}
+        <div class="font-bold mt-3 mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('initialCashBreakdown')}</div>
+        <div class="space-y-1">
+            ${row(t('downPmt'), formatCompact(prop.downPayment, prop.currency))}
+            ${row(prop.renoMonths > 0 ? `${t('renovationShort')} (${t('renoMonthsNote', { months: prop.renoMonths })}${prop.renoSchedule === 'spread' ? `, ${t('renoSpreadShort')}` : ''})` : t('renovationShort'), formatCompact(prop.renoCost, prop.currency))}
+            ${purchaseCosts.map(item => row(escapeHTML(item.rate === null ? item.name : `${item.name} (${formatPercent(item.rate)})`), formatCompact(item.amount, prop.currency))).join('')}
+            ${totalRow(t('total'), formatCompact(prop.totalInvested, prop.currency))}
+        </div>
+        ${isShortTerm(prop) ? shortTermBreakdownHTML(prop, row, totalRow) : `
+        <div class="font-bold mt-3 mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('monthlyRent')}</div>
+        <div class="space-y-1">
+            ${row(t('grossRent'), formatCompact(rent.gross, prop.currency))}
+            ${row(`${t('vacancy')} (${formatPercent(resolveRate(prop.vacancyRate, settings.vacancyRate))})`, `-${formatCompact(rent.vacancyLoss, prop.currency)}`)}
+            ${row(`${t('badDebt')} (${formatPercent(resolveRate(prop.badDebtRate, settings.badDebtRate))})`, `-${formatCompact(rent.badDebtLoss, prop.currency)}`)}
+            ${totalRow(t('effectiveRent'), formatCompact(rent.effective, prop.currency))}
+        </div>`}
+        ${prop.renoMonths > 0 ? `<div class="mt-2 text-xs text-gray-400">${t('rentAfterWorks', { month: prop.renoMonths + 1 })}</div>` : ''}
+        <div class="font-bold mt-3 mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('monthlyCostsYear1')}</div>
+        <div class="space-y-1">
+            ${costs.items.map(item => row(escapeHTML(item.name), formatCompact(item.amount / 12, prop.currency))).join('')}
+            ${costs.items.length === 0 || costs.other > 0 ? row(costs.items.length > 0 ? t('otherCosts') : t('monthlyCostsShort'), formatCompact(costs.other / 12, prop.currency)) : ''}
+            ${costs.items.length > 0 ? totalRow(t('total'), formatCompact(costs.total / 12, prop.currency)) : ''}
         </div>
+        ${prop.shortTerm && prop.rent > 0 ? incomeComparisonHTML(prop) : ''}
         <div class="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-gray-800"></div>
     `;
 
+    positionTooltip(e);
+}
+
+const positionTooltip = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
     tooltip.style.left = `${rect.left + rect.width / 2}px`;
     tooltip.style.top = `${rect.top - 8}px`;
     tooltip.classList.remove('hidden');
-}
+};
+
+window.showExitTooltip = (e, id) => {
+    const prop = getDisplayedProperty(id);
+    if(!prop) return;
+
+    const exit = calculateRealisedReturn(prop);
+    const row = (label, value) => `
+            <div class="flex justify-between">
+                <span class="text-gray-400">${label}:</span>
+                <span>${value}</span>
+            </div>`;
+
+    tooltip.innerHTML = `
+        <div class="font-bold mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('saleInYear', { year: prop.saleYear })}</div>
+        <div class="space-y-1">
+            ${row(t('salePrice'), formatCompact(exit.value, prop.currency))}
+            ${row(`${t('agent')} (${formatPercent(prop.agentFeePercent)})`, `-${formatCompact(exit.agentFee, prop.currency)}`)}
+            ${row(t('closingCosts'), `-${formatCompact(exit.closingCosts, prop.currency)}`)}
+            ${row(t('loanPayoff'), `-${formatCompact(exit.loanPayoff, prop.currency)}`)}
+            ${row(`${t('penalty')} (${formatPercent(prop.prepaymentPenaltyPercent)})`, `-${formatCompact(exit.prepaymentPenalty, prop.currency)}`)}
+            ${row(t('capitalGainsTax'), `-${formatCompact(exit.saleTax, prop.currency)}`)}
+            <div class="mt-2 pt-1 border-t border-gray-600 flex justify-between font-bold text-indigo-300">
+                <span>${t('netProceeds')}:</span>
+                <span>${formatCompact(exit.netProceeds, prop.currency)}</span>
+            </div>
+            <div class="flex justify-between font-bold text-indigo-300">
+                <span>${t('realisedReturn')}:</span>
+                <span>${formatCompact(exit.profit, prop.currency)} (${formatPercent(exit.roi, 1)})</span>
+            </div>
+        </div>
+        <div class="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-gray-800"></div>
+    `;
+
+    positionTooltip(e);
+};
+
+const formatScreeningValue = (unit, value) => {
+    if (value === null || !isFinite(value)) return '–';
+    if (unit === 'ratio') return formatNumber(value, 2);
+    if (unit === 'percent') return formatPercent(value, 1);
+    return `${formatNumber(value, 1)} ${screeningUnitLabel(unit)}`;
+};
+
+window.showScreeningTooltip = (e, id) => {
+    const prop = getDisplayedProperty(id);
+    if (!prop) return;
+
+    const rows = evaluateScreening(prop).map(({ rule, value, passed }) => {
+        const metric = screeningMetrics[rule.metric];
+        const label = metric ? t(metric.label) : rule.metric;
+        const unit = metric ? metric.unit : 'ratio';
+        const operator = screeningOperators[rule.operator];
+        return `
+            <div class="flex justify-between gap-4">
+                <span class="${passed ? 'text-green-400' : 'text-red-400'}">${passed ? '✓' : '✗'} ${label} ${operator ? operator.symbol : rule.operator} ${formatScreeningValue(unit, rule.threshold)}</span>
+                <span>${formatScreeningValue(unit, value)}</span>
+            </div>`;
+    }).join('');
+
+    tooltip.innerHTML = `
+        <div class="font-bold mb-2 border-b border-gray-600 pb-1 text-gray-200">${t('screening')}</div>
+        <div class="space-y-1">${rows}</div>
+        <div class="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-gray-800"></div>
+    `;
+
+    positionTooltip(e);
+};
 
 window.hideBreakdownTooltip = () => {
     tooltip.classList.add('hidden');
@@ -432,29 +1982,112 @@ window.toggleEdit = (id) => {
         // Gather values from inputs
         const nameInput = document.getElementById(`input-name-${id}`);
         const priceInput = document.getElementById(`input-price-${id}`);
+        const areaInput = document.getElementById(`input-area-${id}`);
+        const roomsInput = document.getElementById(`input-rooms-${id}`);
+        const locationInput = document.getElementById(`input-location-${id}`);
+        const tagsInput = document.getElementById(`input-tags-${id}`);
+        const listingUrlInput = document.getElementById(`input-url-${id}`);
+        const notesInput = document.getElementById(`input-notes-${id}`);
         const downInput = document.getElementById(`input-down-${id}`);
         const renoInput = document.getElementById(`input-reno-${id}`);
+        const renoMonthsInput = document.getElementById(`input-renomonths-${id}`);
+        const renoScheduleInput = document.getElementById(`input-renoschedule-${id}`);
         const rateInput = document.getElementById(`input-rate-${id}`);
+        const termInput = document.getElementById(`input-term-${id}`);
+        const fixedYearsInput = document.getElementById(`input-fixedyears-${id}`);
+        const rateShockInput = document.getElementById(`input-rateshock-${id}`);
+        const rateStepsInput = document.getElementById(`input-ratesteps-${id}`);
+        const graceInput = document.getElementById(`input-grace-${id}`);
+        const tranchesEditor = document.getElementById(`tranches-${id}`);
+        const refinancesEditor = document.getElementById(`refinances-${id}`);
         const rentInput = document.getElementById(`input-rent-${id}`);
+        const incomeModeInput = document.getElementById(`input-incomemode-${id}`);
+        const shortTermEditor = document.getElementById(`shortterm-${id}`);
         const afterRenoInput = document.getElementById(`input-afterreno-${id}`);
         const costsInput = document.getElementById(`input-costs-${id}`);
+        const costItemsEditor = document.getElementById(`costitems-${id}`);
+        const purchaseCostsEditor = document.getElementById(`purchasecosts-${id}`);
+        const appreciationInput = document.getElementById(`input-appreciation-${id}`);
+        const rentGrowthInput = document.getElementById(`input-rentgrowth-${id}`);
+        const costGrowthInput = document.getElementById(`input-costgrowth-${id}`);
+        const vacancyInput = document.getElementById(`input-vacancy-${id}`);
+        const badDebtInput = document.getElementById(`input-baddebt-${id}`);
+        const taxRegimeInput = document.getElementById(`input-taxregime-${id}`);
+        const saleYearInput = document.getElementById(`input-saleyear-${id}`);
+        const purchaseYearInput = document.getElementById(`input-purchaseyear-${id}`);
+        const agentFeeInput = document.getElementById(`input-agentfee-${id}`);
+        const saleClosingInput = document.getElementById(`input-saleclosing-${id}`);
+        const penaltyInput = document.getElementById(`input-penalty-${id}`);
 
         const newName = nameInput ? nameInput.value : prop.name;
         const newPrice = priceInput ? (parseFloat(priceInput.value) || 0) * 1000000 : prop.price;
+        const newArea = areaInput ? parseOptional(areaInput.value) : prop.area;
+        const newRooms = roomsInput ? parseOptional(roomsInput.value) : prop.rooms;
+        const newLocation = locationInput ? locationInput.value.trim() : prop.location;
+        const newTags = tagsInput ? parseTags(tagsInput.value) : prop.tags;
+        const newListingUrl = listingUrlInput ? listingUrlInput.value.trim() : prop.listingUrl;
+        const newNotes = notesInput ? notesInput.value.trim() : prop.notes;
         const newDown = downInput ? (parseFloat(downInput.value) || 0) : prop.downPaymentPercent;
         const newReno = renoInput ? (parseFloat(renoInput.value) || 0) * 1000000 : prop.renoCost;
+        const newRenoMonths = renoMonthsInput ? (parseFloat(renoMonthsInput.value) || 0) : prop.renoMonths;
+        const newRenoSchedule = renoScheduleInput ? renoScheduleInput.value : prop.renoSchedule;
         const newRate = rateInput ? (parseFloat(rateInput.value) || 0) : prop.rate;
+        const newTerm = termInput ? (parseFloat(termInput.value) || 0) : prop.term;
+        const newFixedYears = fixedYearsInput ? parseOptional(fixedYearsInput.value) : prop.fixedYears;
+        const newRateShock = rateShockInput ? (parseFloat(rateShockInput.value) || 0) : prop.rateShock;
+        const newRateSteps = rateStepsInput ? parseRateSteps(rateStepsInput.value) : prop.rateSteps;
+        const newGrace = graceInput ? (parseFloat(graceInput.value) || 0) : prop.graceMonths;
+        const newTranches = tranchesEditor ? trancheRows.read(`tranches-${id}`) : prop.tranches;
+        const newRefinances = refinancesEditor ? refinanceRows.read(`refinances-${id}`) : prop.refinances;
         const newRent = rentInput ? (parseFloat(rentInput.value) || 0) * 1000 : prop.rent;
+        const newIncomeMode = incomeModeInput ? incomeModeInput.value : prop.incomeMode;
+        const newShortTerm = shortTermEditor ? readShortTermEditor(`shortterm-${id}`) : prop.shortTerm;
         const newAfterReno = afterRenoInput ? ((parseFloat(afterRenoInput.value) || 0) > 0 ? (parseFloat(afterRenoInput.value)) * 1000000 : newPrice) : prop.afterRenoValue;
         const newCosts = costsInput ? (parseFloat(costsInput.value) || 0) * 1000 : prop.monthlyCosts;
+        const newCostItems = costItemsEditor ? costItemRows.read(`costitems-${id}`) : prop.costItems;
+        const newPurchaseCosts = purchaseCostsEditor ? readPurchaseCostEditor(`purchasecosts-${id}`) : prop.purchaseCosts;
+        const newAppreciation = appreciationInput ? parseOptional(appreciationInput.value) : prop.appreciation;
+        const newRentGrowth = rentGrowthInput ? parseOptional(rentGrowthInput.value) : prop.rentGrowth;
+        const newCostGrowth = costGrowthInput ? parseOptional(costGrowthInput.value) : prop.costGrowth;
+        const newVacancy = vacancyInput ? vacancyToPercent(parseOptional(vacancyInput.value)) : prop.vacancyRate;
+        const newBadDebt = badDebtInput ? parseOptional(badDebtInput.value) : prop.badDebtRate;
+        const newTaxRegime = taxRegimeInput ? (taxRegimeInput.value || null) : prop.taxRegime;
+        const newSaleYear = saleYearInput ? (parseOptional(saleYearInput.value) ?? defaultExit.saleYear) : prop.saleYear;
+        const newPurchaseCalendarYear = purchaseYearInput ? parseOptional(purchaseYearInput.value) : null;
+        const newPurchaseYear = purchaseYearInput ? (newPurchaseCalendarYear === null ? 0 : newPurchaseCalendarYear - settings.startYear) : prop.purchaseYear;
+        const newAgentFee = agentFeeInput ? (parseFloat(agentFeeInput.value) || 0) : prop.agentFeePercent;
+        const newSaleClosing = saleClosingInput ? (parseFloat(saleClosingInput.value) || 0) * 1000 : prop.saleClosingCosts;
+        const newPenalty = penaltyInput ? (parseFloat(penaltyInput.value) || 0) : prop.prepaymentPenaltyPercent;
 
         // Validate before saving
         const errors = validateProperty({
             price: newPrice,
+            area: newArea,
+            rooms: newRooms,
+            listingUrl: newListingUrl,
             downPaymentPercent: newDown,
             rate: newRate,
-            term: prop.term,
-            rent: newRent
+            term: newTerm,
+            fixedYears: newFixedYears,
+            rateSteps: newRateSteps,
+            graceMonths: newGrace,
+            // Prepayments are not edited inline, but a shorter term must still cover them
+            extraPayment: prop.extraPayment,
+            lumpSums: prop.lumpSums,
+            tranches: newTranches,
+            refinances: newRefinances,
+            rent: newRent,
+            incomeMode: newIncomeMode,
+            shortTerm: newShortTerm,
+            renoMonths: newRenoMonths,
+            costItems: newCostItems,
+            purchaseCosts: newPurchaseCosts,
+            vacancyRate: newVacancy,
+            badDebtRate: newBadDebt,
+            saleYear: newSaleYear,
+            purchaseYear: newPurchaseYear,
+            agentFeePercent: newAgentFee,
+            prepaymentPenaltyPercent: newPenalty
         });
         if (errors.length > 0) {
             alert(errors.join('\n'));
@@ -463,12 +2096,42 @@ window.toggleEdit = (id) => {
 
         prop.name = newName;
         prop.price = newPrice;
+        prop.area = newArea;
+        prop.rooms = newRooms;
+        prop.location = newLocation;
+        prop.tags = newTags;
+        prop.listingUrl = newListingUrl;
+        prop.notes = newNotes;
         prop.downPaymentPercent = newDown;
         prop.renoCost = newReno;
+        prop.renoMonths = newRenoMonths;
+        prop.renoSchedule = newRenoSchedule;
         prop.rate = newRate;
+        prop.term = newTerm;
+        prop.fixedYears = newFixedYears;
+        prop.rateShock = newRateShock;
+        prop.rateSteps = newRateSteps;
+        prop.graceMonths = newGrace;
+        prop.tranches = newTranches;
+        prop.refinances = newRefinances;
         prop.rent = newRent;
+        prop.incomeMode = newIncomeMode;
+        prop.shortTerm = newShortTerm;
         prop.afterRenoValue = newAfterReno;
         prop.monthlyCosts = newCosts;
+        prop.costItems = newCostItems;
+        prop.purchaseCosts = newPurchaseCosts;
+        prop.appreciation = newAppreciation;
+        prop.rentGrowth = newRentGrowth;
+        prop.costGrowth = newCostGrowth;
+        prop.vacancyRate = newVacancy;
+        prop.badDebtRate = newBadDebt;
+        prop.taxRegime = newTaxRegime;
+        prop.saleYear = newSaleYear;
+        prop.purchaseYear = newPurchaseYear;
+        prop.agentFeePercent = newAgentFee;
+        prop.saleClosingCosts = newSaleClosing;
+        prop.prepaymentPenaltyPercent = newPenalty;
 
         // Recalculate and Save
         recalculateProperty(prop);
@@ -515,16 +2178,89 @@ const settingsDrawer = document.getElementById('settings-drawer');
 const settingsBackdrop = document.getElementById('settings-backdrop');
 const settingTaxInput = document.getElementById('settingTaxRate');
 const settingLawyerInput = document.getElementById('settingLawyerRate');
-const settingInflationInput = document.getElementById('settingInflation');
+const settingAppreciationInput = document.getElementById('settingAppreciation');
+const settingRentGrowthInput = document.getElementById('settingRentGrowth');
+const settingCostGrowthInput = document.getElementById('settingCostGrowth');
+const settingCpiInput = document.getElementById('settingCpi');
+const settingVacancyInput = document.getElementById('settingVacancy');
+const settingBadDebtInput = document.getElementById('settingBadDebt');
+const settingRentalTaxRegimeInput = document.getElementById('settingRentalTaxRegime');
+const settingRentalTaxRateInput = document.getElementById('settingRentalTaxRate');
+const settingFlatCostAllowanceInput = document.getElementById('settingFlatCostAllowance');
+const settingSaleTaxRateInput = document.getElementById('settingSaleTaxRate');
+const settingSaleTaxScheduleInput = document.getElementById('settingSaleTaxSchedule');
+const settingStartYearInput = document.getElementById('settingStartYear');
+const settingReinvestCashflowInput = document.getElementById('settingReinvestCashflow');
+
+const exchangeRateInputs = document.querySelectorAll('[data-exchange-rate]');
+
+const syncExchangeRateInputs = () => {
+    exchangeRateInputs.forEach(input => {
+        input.value = settings.exchangeRates[input.dataset.exchangeRate];
+    });
+};
+
+// "100, 100, 90, 0" → [100, 100, 90, 0]; an empty or invalid list restores the default schedule
+const parseSchedule = (text) => {
+    const values = text.split(',').map(v => parseFloat(v)).filter(v => !isNaN(v));
+    return values.length > 0 ? values : [...defaultSettings.saleTaxSchedule];
+};
+
+// --- Screening Rule Editor ---
+// A row editor in the settings drawer; every change is applied right away like the other settings
+const screeningUnitLabel = (unit) => ({
+    money: `k ${getCurrencySymbol(getDisplayCurrency())}`,
+    percent: '%',
+    points: t('pts'),
+    ratio: '×'
+})[unit];
+
+// Rules without a threshold are still being typed and are left out
+const screeningRuleRows = createRowEditor('screeningRule', {
+    rowHTML: (rule) => {
+        const metricKey = screeningMetrics[rule.metric] ? rule.metric : 'grossYield';
+        const operatorKey = screeningOperators[rule.operator] ? rule.operator : '>=';
+        return `
+        <select data-field="metric" class="table-input col-span-5 text-xs">
+            ${optionsHTML(screeningMetrics, metricKey, metric => t(metric.label))}
+        </select>
+        <select data-field="operator" class="table-input col-span-2 text-xs">
+            ${optionsHTML(screeningOperators, operatorKey, operator => operator.symbol)}
+        </select>
+        <input type="number" step="0.1" data-field="threshold" class="table-input col-span-2 text-xs" value="${rule.threshold ?? ''}">
+        <span data-rule-unit class="col-span-2 text-gray-400 dark:text-zinc-500">${screeningUnitLabel(screeningMetrics[metricKey].unit)}</span>`;
+    },
+    removeLabel: 'removeRule',
+    read: (field) => ({ metric: field('metric').value, operator: field('operator').value, threshold: parseOptional(field('threshold').value) }),
+    keep: rule => rule.threshold !== null,
+    onRemove: () => onSettingsChange()
+});
+
+const screeningRuleEditor = document.getElementById('settingScreeningRules');
 
 window.openSettings = () => {
     settingTaxInput.value = settings.taxRate;
     settingLawyerInput.value = settings.lawyerRate;
-    settingInflationInput.value = settings.inflation;
+    settingAppreciationInput.value = settings.appreciation;
+    settingRentGrowthInput.value = settings.rentGrowth;
+    settingCostGrowthInput.value = settings.costGrowth;
+    settingCpiInput.value = settings.cpi;
+    settingVacancyInput.value = vacancyFromPercent(settings.vacancyRate);
+    settingBadDebtInput.value = settings.badDebtRate;
+    settingRentalTaxRegimeInput.value = settings.rentalTaxRegime;
+    settingRentalTaxRateInput.value = settings.rentalTaxRate;
+    settingFlatCostAllowanceInput.value = settings.flatCostAllowance;
+    settingSaleTaxRateInput.value = settings.saleTaxRate;
+    settingSaleTaxScheduleInput.value = settings.saleTaxSchedule.join(', ');
+    settingStartYearInput.value = settings.startYear;
+    settingReinvestCashflowInput.checked = settings.reinvestCashflow;
+    screeningRuleRows.render('settingScreeningRules', settings.screeningRules);
+    syncExchangeRateInputs();
     // Sync preference controls
     document.getElementById('prefTheme').value = preferences.theme;
     document.getElementById('prefLanguage').value = preferences.language;
     document.getElementById('prefCurrency').value = preferences.currency;
+    document.getElementById('settingVacancyUnit').value = preferences.vacancyUnit;
     settingsDrawer.classList.add('open');
     settingsBackdrop.classList.remove('hidden');
 };
@@ -537,32 +2273,109 @@ window.closeSettings = () => {
 const onSettingsChange = () => {
     settings.taxRate = parseFloat(settingTaxInput.value) || defaultSettings.taxRate;
     settings.lawyerRate = parseFloat(settingLawyerInput.value) || defaultSettings.lawyerRate;
-    settings.inflation = parseFloat(settingInflationInput.value) || defaultSettings.inflation;
+    settings.appreciation = parseFloat(settingAppreciationInput.value) || 0;
+    settings.rentGrowth = parseFloat(settingRentGrowthInput.value) || 0;
+    settings.costGrowth = parseFloat(settingCostGrowthInput.value) || 0;
+    settings.cpi = parseFloat(settingCpiInput.value) || 0;
+    settings.vacancyRate = vacancyToPercent(parseFloat(settingVacancyInput.value) || 0);
+    settings.badDebtRate = parseFloat(settingBadDebtInput.value) || 0;
+    settings.rentalTaxRegime = settingRentalTaxRegimeInput.value;
+    settings.rentalTaxRate = parseFloat(settingRentalTaxRateInput.value) || 0;
+    settings.flatCostAllowance = parseFloat(settingFlatCostAllowanceInput.value) || 0;
+    settings.saleTaxRate = parseFloat(settingSaleTaxRateInput.value) || 0;
+    settings.saleTaxSchedule = parseSchedule(settingSaleTaxScheduleInput.value);
+    settings.startYear = parseInt(settingStartYearInput.value, 10) || defaultSettings.startYear;
+    settings.reinvestCashflow = settingReinvestCashflowInput.checked;
+    settings.screeningRules = screeningRuleRows.read('settingScreeningRules');
+    exchangeRateInputs.forEach(input => {
+        const currency = input.dataset.exchangeRate;
+        settings.exchangeRates[currency] = parseFloat(input.value) || defaultSettings.exchangeRates[currency];
+    });
     saveSettings();
     properties.forEach(recalculateProperty);
     saveProperties();
     updateUI();
+    refreshPurchaseCostDefaults();
     updateDownPaymentDisplay();
 };
 
 settingTaxInput.addEventListener('input', onSettingsChange);
 settingLawyerInput.addEventListener('input', onSettingsChange);
-settingInflationInput.addEventListener('input', onSettingsChange);
+settingAppreciationInput.addEventListener('input', onSettingsChange);
+settingRentGrowthInput.addEventListener('input', onSettingsChange);
+settingCostGrowthInput.addEventListener('input', onSettingsChange);
+settingCpiInput.addEventListener('input', onSettingsChange);
+settingVacancyInput.addEventListener('input', onSettingsChange);
+settingBadDebtInput.addEventListener('input', onSettingsChange);
+settingRentalTaxRegimeInput.addEventListener('change', onSettingsChange);
+settingRentalTaxRateInput.addEventListener('input', onSettingsChange);
+settingFlatCostAllowanceInput.addEventListener('input', onSettingsChange);
+settingSaleTaxRateInput.addEventListener('input', onSettingsChange);
+settingSaleTaxScheduleInput.addEventListener('change', onSettingsChange);
+settingStartYearInput.addEventListener('change', onSettingsChange);
+settingReinvestCashflowInput.addEventListener('change', onSettingsChange);
+// Thresholds apply while typing, metric and operator on change
+screeningRuleEditor.addEventListener('input', (e) => {
+    if (e.target.dataset.field === 'threshold') onSettingsChange();
+});
+screeningRuleEditor.addEventListener('change', (e) => {
+    if (e.target.dataset.field === 'threshold') return;
+    if (e.target.dataset.field === 'metric') {
+        e.target.closest('[data-editor-row]').querySelector('[data-rule-unit]').textContent = screeningUnitLabel(screeningMetrics[e.target.value].unit);
+    }
+    onSettingsChange();
+});
+exchangeRateInputs.forEach(input => input.addEventListener('input', onSettingsChange));
+
+// Switching the vacancy unit only changes how the stored percentage is displayed
+document.getElementById('settingVacancyUnit').addEventListener('change', (e) => {
+    preferences.vacancyUnit = e.target.value;
+    savePreferences();
+    settingVacancyInput.value = vacancyFromPercent(settings.vacancyRate);
+    applyPreferencesUI();
+    if (properties.length > 0) renderTable();
+});
 
 // --- Preference Controls ---
 const onPreferenceChange = () => {
+    const language = document.getElementById('prefLanguage').value;
+    const languageChanged = language !== preferences.language;
     preferences.theme = document.getElementById('prefTheme').value;
-    preferences.language = document.getElementById('prefLanguage').value;
+    preferences.language = language;
     preferences.currency = document.getElementById('prefCurrency').value;
     savePreferences();
     applyPreferencesUI();
-    if (properties.length > 0) renderCharts();
+    // Loan schedules carry the translated name of the bank loan
+    if (languageChanged) properties.forEach(recalculateProperty);
+    // Every amount in the table and charts is shown in the display currency and language
+    updateUI();
+    updateDownPaymentDisplay();
 };
 
 document.getElementById('prefTheme').addEventListener('change', onPreferenceChange);
 document.getElementById('prefLanguage').addEventListener('change', onPreferenceChange);
 document.getElementById('prefCurrency').addEventListener('change', onPreferenceChange);
 
+// Empty means stay null so every property keeps its own assumption
+const readSimulationParam = (input) => {
+    const param = input.dataset.simulationParam;
+    if (param.endsWith('Mean')) return parseOptional(input.value);
+    const value = parseFloat(input.value);
+    if (isNaN(value)) return defaultSimulationParams[param];
+    if (param === 'paths') return Math.min(20000, Math.max(100, Math.round(value)));
+    if (param === 'seed') return Math.round(value);
+    return Math.max(0, value);
+};
+
+document.querySelectorAll('[data-simulation-param]').forEach(input => {
+    input.addEventListener('change', () => {
+        preferences.simulationParams = { ...preferences.simulationParams, [input.dataset.simulationParam]: readSimulationParam(input) };
+        savePreferences();
+        applyPreferencesUI();
+        if (properties.length > 0) renderCharts();
+    });
+});
+
 // Chart year range toggle
 window.setChartYears = (years) => {
     preferences.chartYears = years;
@@ -571,50 +2384,139 @@ window.setChartYears = (years) => {
     if (properties.length > 0) renderCharts();
 };
 
+// Pre-tax / after-tax toggle for the ROI charts
+window.setChartAfterTax = (afterTax) => {
+    preferences.afterTax = afterTax;
+    savePreferences();
+    applyPreferencesUI();
+    if (properties.length > 0) renderCharts();
+};
+
+// Paper equity / net-after-sale toggle for the ROI and equity charts
+window.setChartBasis = (basis) => {
+    preferences.chartBasis = basis;
+    savePreferences();
+    applyPreferencesUI();
+    if (properties.length > 0) renderCharts();
+};
+
+// Nominal / today's money toggle for every chart
+window.setChartRealValues = (realValues) => {
+    preferences.realValues = realValues;
+    savePreferences();
+    applyPreferencesUI();
+    if (properties.length > 0) renderCharts();
+};
+
+// Single projection / Monte Carlo bands on the ROI and equity charts
+window.setChartSimulation = (simulation) => {
+    preferences.simulation = simulation;
+    savePreferences();
+    applyPreferencesUI();
+    if (properties.length > 0) renderCharts();
+};
+
+const chartProjectionOptions = () => ({
+    afterTax: preferences.afterTax,
+    afterSale: preferences.chartBasis === 'sale',
+    real: preferences.realValues
+});
+
+// Chart figures of a given year in the selected basis, nominal or today's money
+const deflateForChart = (value, year) => preferences.realValues ? deflate(value, year) : value;
+
+// Chart amounts of a given year in the selected basis and the display currency
+const toChartBasis = (amount, year, currency) => deflateForChart(convertCurrency(amount, currency, getDisplayCurrency()), year);
+
+const chartBasisNote = () => preferences.realValues ? ` (${t('todaysMoneyNote')})` : '';
+
 const applyPreferencesUI = () => {
+    applyTranslations();
+
     // Apply theme
     document.documentElement.classList.toggle('dark', preferences.theme === 'dark');
 
     // Update chart year toggle buttons
     const activeClasses = ['bg-indigo-100', 'text-indigo-700', 'border-indigo-300', 'dark:bg-indigo-900/30', 'dark:text-indigo-300', 'dark:border-indigo-700'];
     const inactiveClasses = ['bg-white', 'dark:bg-zinc-800', 'text-gray-700', 'dark:text-zinc-300', 'hover:bg-gray-50', 'dark:hover:bg-zinc-700'];
-    document.querySelectorAll('#chartYearToggle button').forEach(btn => {
-        const y = parseInt(btn.dataset.years);
-        if (y === preferences.chartYears) {
+    const setToggleState = (btn, isActive) => {
+        if (isActive) {
             btn.classList.add(...activeClasses);
             btn.classList.remove(...inactiveClasses);
         } else {
             btn.classList.remove(...activeClasses);
             btn.classList.add(...inactiveClasses);
         }
+    };
+    document.querySelectorAll('#chartYearToggle button').forEach(btn => {
+        setToggleState(btn, parseInt(btn.dataset.years) === preferences.chartYears);
+    });
+    document.querySelectorAll('#chartTaxToggle button').forEach(btn => {
+        setToggleState(btn, (btn.dataset.afterTax === 'true') === preferences.afterTax);
     });
+    document.querySelectorAll('#chartBasisToggle button').forEach(btn => {
+        setToggleState(btn, btn.dataset.basis === preferences.chartBasis);
+    });
+    document.querySelectorAll('#chartRealToggle button').forEach(btn => {
+        setToggleState(btn, (btn.dataset.real === 'true') === preferences.realValues);
+    });
+    document.querySelectorAll('#chartSimulationToggle button').forEach(btn => {
+        setToggleState(btn, (btn.dataset.simulation === 'true') === preferences.simulation);
+    });
+    document.querySelectorAll('[data-simulation-param]').forEach(input => {
+        input.value = preferences.simulationParams[input.dataset.simulationParam] ?? '';
+    });
+    [['scenarioRowsToggle', preferences.scenarioRows], ['portfolioToggle', preferences.portfolio], ['screeningToggle', preferences.passingOnly]].forEach(([toggleId, isActive]) => {
+        const btn = document.getElementById(toggleId);
+        setToggleState(btn, isActive);
+        btn.setAttribute('aria-pressed', isActive);
+    });
+    renderColumnPicker();
+    renderFilterPicker();
+    tableSearchInput.value = preferences.tableFilter.text;
+
+    // Update vacancy unit labels
+    document.querySelectorAll('[data-vacancy-unit]').forEach(el => {
+        el.textContent = vacancyUnitLabel();
+    });
+    const vacancyPlaceholder = document.getElementById('pVacancy');
+    if (vacancyPlaceholder) vacancyPlaceholder.placeholder = t('defaultValue', { value: formatNumber(vacancyFromPercent(settings.vacancyRate)) });
+
     // Update chart titles
     document.querySelectorAll('[data-chart-title]').forEach(el => {
-        const base = el.dataset.chartTitle;
-        el.textContent = `${base} (${preferences.chartYears} Years)`;
+        const base = t(el.dataset.chartTitle);
+        const notes = [t('yearsCount', { years: preferences.chartYears })];
+        if (el.hasAttribute('data-chart-taxed') && preferences.afterTax) notes.push(t('afterTax'));
+        if (el.hasAttribute('data-chart-sale') && preferences.chartBasis === 'sale') notes.push(t('netAfterSale'));
+        if (preferences.realValues) notes.push(t('todaysMoney'));
+        el.textContent = `${base} (${notes.join(', ')})`;
     });
 };
 
 const isDark = () => preferences.theme === 'dark';
 
 // --- Export / Import ---
-window.exportData = () => {
-    const exportObj = {
-        settings,
-        preferences,
-        properties: properties.map(({ isEditing, ...rest }) => rest)
-    };
-    const blob = new Blob([JSON.stringify(exportObj, null, 2)], { type: 'application/json' });
+const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'property-calculator-export.json';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 };
 
+window.exportData = () => {
+    const exportObj = {
+        settings,
+        preferences,
+        properties: properties.map(({ isEditing, ...rest }) => rest)
+    };
+    downloadFile(JSON.stringify(exportObj, null, 2), 'property-calculator-export.json', 'application/json');
+};
+
 window.importData = (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -624,15 +2526,15 @@ window.importData = (event) => {
         try {
             const data = JSON.parse(e.target.result);
             if (!data.properties || !Array.isArray(data.properties)) {
-                alert('Invalid file: missing properties array.');
+                alert(t('importMissingProperties'));
                 return;
             }
             if (data.settings) {
-                settings = { ...defaultSettings, ...data.settings };
+                settings = normalizeSettings(data.settings);
                 saveSettings();
             }
             if (data.preferences) {
-                preferences = { ...defaultPreferences, ...data.preferences };
+                preferences = normalizePreferences(data.preferences);
                 savePreferences();
                 applyPreferencesUI();
             }
@@ -643,9 +2545,9 @@ window.importData = (event) => {
             saveProperties();
             updateUI();
             updateDownPaymentDisplay();
-            alert('Data imported successfully.');
+            alert(t('importSuccess'));
         } catch (err) {
-            alert('Error importing data: ' + err.message);
+            alert(t('importError', { message: err.message }));
         }
     };
     reader.readAsText(file);
@@ -653,8 +2555,49 @@ window.importData = (event) => {
 };
 
 // --- Share via URL ---
+// Unset overrides are encoded as empty fields so the receiver keeps using its defaults
+const encodeOptional = (value) => (value === null || value === undefined) ? '' : value;
+
+// Order of the comma-separated settings in a share link. Append new keys at the end;
+// links created before a key existed simply omit it and get the default.
+const shareSettingsKeys = [
+    'taxRate', 'lawyerRate', 'appreciation', 'rentGrowth', 'costGrowth', 'vacancyRate', 'badDebtRate',
+    'rentalTaxRegime', 'rentalTaxRate', 'flatCostAllowance', 'saleTaxRate', 'saleTaxSchedule', 'cpi', 'exchangeRates',
+    'startYear', 'reinvestCashflow', 'screeningRules'
+];
+
+// Arrays are joined with '/', rate tables as 'eur:400/usd:370', screening rules as 'ltv:<=:70/irr:>=:8'
+const encodeSettingValue = (value) => {
+    if (Array.isArray(value)) return value.map(item => typeof item === 'object' ? [item.metric, item.operator, item.threshold].join(':') : item).join('/');
+    if (value && typeof value === 'object') return Object.entries(value).map(([key, v]) => `${key}:${v}`).join('/');
+    return value;
+};
+
+const decodeSettingValue = (key, field) => {
+    const fallback = defaultSettings[key];
+    if (key === 'screeningRules') {
+        return field.split('/').filter(Boolean).map(rule => rule.split(':'))
+            .map(([metric, operator, threshold]) => ({ metric, operator, threshold: parseFloat(threshold) }));
+    }
+    if (Array.isArray(fallback)) return field.split('/').map(parseFloat);
+    if (fallback && typeof fallback === 'object') {
+        return Object.fromEntries(field.split('/').map(pair => pair.split(':')).map(([k, v]) => [k, parseFloat(v)]));
+    }
+    if (typeof fallback === 'number') return parseFloat(field);
+    if (typeof fallback === 'boolean') return field === 'true';
+    return field;
+};
+
+// Short-term inputs travel as a list in `shortTermFields` order, the seasonality last
+const shortTermToList = (shortTerm) => [...shortTermFields.map(field => shortTerm[field.key]), shortTerm.seasonality];
+
+const shortTermFromList = (values) => shortTermFields.reduce(
+    (shortTerm, field, index) => ({ ...shortTerm, [field.key]: values[index] }),
+    { seasonality: values[shortTermFields.length] }
+);
+
 const encodeShareData = (s, props) => {
-    const settingsPart = `${s.taxRate},${s.lawyerRate},${s.inflation}`;
+    const settingsPart = shareSettingsKeys.map(key => encodeSettingValue(s[key])).join(',');
     const propParts = props.map(p => {
         const name = encodeURIComponent(p.name);
         const priceM = p.price / 1000000;
@@ -662,7 +2605,27 @@ const encodeShareData = (s, props) => {
         const renoM = p.renoCost / 1000000;
         const afterRenoM = (p.afterRenoValue || p.price) / 1000000;
         const costsK = (p.monthlyCosts || 0) / 1000;
-        return `${name}|${priceM}|${rentK}|${renoM}|${p.downPaymentPercent}|${p.rate}|${p.term}|${afterRenoM}|${costsK}`;
+        const overrides = [p.appreciation, p.rentGrowth, p.costGrowth, p.vacancyRate, p.badDebtRate, p.taxRegime].map(encodeOptional).join('|');
+        const exit = `${p.saleYear}|${p.agentFeePercent}|${p.saleClosingCosts / 1000}|${p.prepaymentPenaltyPercent}`;
+        const rateSchedule = `${encodeOptional(p.fixedYears)}|${p.rateShock || 0}|${encodeURIComponent(formatRateSteps(p.rateSteps))}`;
+        const tranches = (p.tranches || []).map(tranche => [tranche.name, tranche.amount / 1000000, tranche.rate, tranche.term, tranche.graceMonths || 0]);
+        const loans = `${p.graceMonths || 0}|${tranches.length > 0 ? encodeURIComponent(JSON.stringify(tranches)) : ''}`;
+        const prepayments = `${(p.extraPayment || 0) / 1000}|${encodeURIComponent(formatLumpSums(p.lumpSums))}|${p.prepaymentStrategy || 'term'}`;
+        const currency = `${p.currency || 'huf'}|${p.loanCurrency || ''}|${p.fxDrift || 0}`;
+        const scenarioList = (p.scenarios || []).map(scenario => [scenario.id, scenario.name, scenario.overrides]);
+        const scenarios = `${p.activeScenario || baseScenarioId}|${scenarioList.length > 0 ? encodeURIComponent(JSON.stringify(scenarioList)) : ''}|${(p.plottedScenarios || []).join('/')}`;
+        const portfolio = `${p.inPortfolio === false ? 0 : 1}|${p.purchaseYear || 0}`;
+        const refinanceList = (p.refinances || []).map(event => [event.year, event.ltv, event.rate, event.term, event.fees / 1000]);
+        const refinances = refinanceList.length > 0 ? encodeURIComponent(JSON.stringify(refinanceList)) : '';
+        const works = `${p.renoMonths || 0}|${p.renoSchedule || 'upfront'}`;
+        const costItemList = (p.costItems || []).map(item => [item.name, item.basis, item.amount, item.growth ?? null]);
+        const costItems = costItemList.length > 0 ? encodeURIComponent(JSON.stringify(costItemList)) : '';
+        const shortTerm = p.shortTerm ? encodeURIComponent(JSON.stringify(shortTermToList(p.shortTerm))) : '';
+        const listing = [encodeOptional(p.rooms), ...[p.location, (p.tags || []).join(','), p.listingUrl, p.notes].map(text => encodeURIComponent(text || '')), p.dateAdded || ''].join('|');
+        const purchaseCosts = p.purchaseCosts
+            ? encodeURIComponent(JSON.stringify(p.purchaseCosts.map(item => [item.name, item.basis, item.amount, item.setting || ''])))
+            : '';
+        return `${name}|${priceM}|${rentK}|${renoM}|${p.downPaymentPercent}|${p.rate}|${p.term}|${afterRenoM}|${costsK}|${overrides}|${exit}|${rateSchedule}|${loans}|${prepayments}|${currency}|${scenarios}|${portfolio}|${refinances}|${works}|${costItems}|${purchaseCosts}|${encodeOptional(p.area)}|${listing}|${p.incomeMode || 'longTerm'}|${shortTerm}`;
     });
     const raw = [settingsPart, ...propParts].join(';');
     return btoa(unescape(encodeURIComponent(raw)));
@@ -675,13 +2638,21 @@ const decodeShareData = (encoded) => {
         if (parts.length < 1) return null;
 
         const settingsFields = parts[0].split(',');
-        if (settingsFields.length !== 3) return null;
+        // Legacy links carry a single inflation rate instead of three growth rates
+        if (settingsFields.length !== 3 && settingsFields.length < 5) return null;
+        const decodedSettings = {};
+        if (settingsFields.length === 3) {
+            decodedSettings.taxRate = parseFloat(settingsFields[0]);
+            decodedSettings.lawyerRate = parseFloat(settingsFields[1]);
+            decodedSettings.inflation = parseFloat(settingsFields[2]);
+        } else {
+            settingsFields.forEach((field, i) => {
+                const key = shareSettingsKeys[i];
+                if (key) decodedSettings[key] = decodeSettingValue(key, field);
+            });
+        }
         const decoded = {
-            settings: {
-                taxRate: parseFloat(settingsFields[0]),
-                lawyerRate: parseFloat(settingsFields[1]),
-                inflation: parseFloat(settingsFields[2])
-            },
+            settings: normalizeSettings(decodedSettings),
             properties: []
         };
 
@@ -689,7 +2660,7 @@ const decodeShareData = (encoded) => {
             const fields = parts[i].split('|');
             if (fields.length < 7) return null;
             const price = parseFloat(fields[1]) * 1000000;
-            decoded.properties.push({
+            const property = {
                 id: Date.now() + i,
                 name: decodeURIComponent(fields[0]),
                 price: price,
@@ -700,8 +2671,66 @@ const decodeShareData = (encoded) => {
                 term: parseFloat(fields[6]),
                 afterRenoValue: fields.length >= 8 ? parseFloat(fields[7]) * 1000000 : price,
                 monthlyCosts: fields.length >= 9 ? parseFloat(fields[8]) * 1000 : 0,
+                appreciation: parseOptional(fields[9]),
+                rentGrowth: parseOptional(fields[10]),
+                costGrowth: parseOptional(fields[11]),
+                vacancyRate: parseOptional(fields[12]),
+                badDebtRate: parseOptional(fields[13]),
+                taxRegime: fields[14] || null,
+                saleYear: parseOptional(fields[15]),
+                agentFeePercent: parseOptional(fields[16]),
+                saleClosingCosts: (parseOptional(fields[17]) || 0) * 1000,
+                prepaymentPenaltyPercent: parseOptional(fields[18]),
+                fixedYears: parseOptional(fields[19]),
+                rateShock: parseOptional(fields[20]) || 0,
+                rateSteps: parseRateSteps(decodeURIComponent(fields[21] || '')),
+                graceMonths: parseOptional(fields[22]) || 0,
+                tranches: fields[23]
+                    ? JSON.parse(decodeURIComponent(fields[23])).map(([name, amountM, rate, term, graceMonths]) => ({
+                        name, amount: amountM * 1000000, rate, term, graceMonths
+                    }))
+                    : [],
+                extraPayment: (parseOptional(fields[24]) || 0) * 1000,
+                lumpSums: parseLumpSums(decodeURIComponent(fields[25] || '')),
+                prepaymentStrategy: fields[26] || 'term',
+                currency: fields[27] || 'huf',
+                loanCurrency: fields[28] || null,
+                fxDrift: parseOptional(fields[29]) || 0,
+                activeScenario: parseOptional(fields[30]) || baseScenarioId,
+                scenarios: fields[31]
+                    ? JSON.parse(decodeURIComponent(fields[31])).map(([id, name, overrides]) => ({ id, name, overrides }))
+                    : [],
+                plottedScenarios: fields[32] ? fields[32].split('/').map(parseFloat) : [],
+                inPortfolio: fields[33] !== '0',
+                purchaseYear: parseOptional(fields[34]) || 0,
+                refinances: fields[35]
+                    ? JSON.parse(decodeURIComponent(fields[35])).map(([year, ltv, rate, term, feesK]) => ({
+                        year, ltv, rate, term, fees: feesK * 1000
+                    }))
+                    : [],
+                renoMonths: parseOptional(fields[36]) || 0,
+                renoSchedule: fields[37] || 'upfront',
+                costItems: fields[38]
+                    ? JSON.parse(decodeURIComponent(fields[38])).map(([name, basis, amount, growth]) => ({ name, basis, amount, growth }))
+                    : [],
+                purchaseCosts: fields[39]
+                    ? JSON.parse(decodeURIComponent(fields[39]))
+                        .map(([name, basis, amount, setting]) => (setting ? { name, basis, amount, setting } : { name, basis, amount }))
+                    : null,
+                area: parseOptional(fields[40]),
+                rooms: parseOptional(fields[41]),
+                location: decodeURIComponent(fields[42] || ''),
+                tags: fields[43] ? decodeURIComponent(fields[43]).split(',') : [],
+                listingUrl: decodeURIComponent(fields[44] || ''),
+                notes: decodeURIComponent(fields[45] || ''),
+                dateAdded: fields[46] || null,
+                incomeMode: fields[47] || 'longTerm',
+                shortTerm: fields[48] ? shortTermFromList(JSON.parse(decodeURIComponent(fields[48]))) : null,
                 isEditing: false
-            });
+            };
+            // A link can be edited by hand, so it has to pass the same checks as the form
+            if (validateProperty(property).length > 0) return null;
+            decoded.properties.push(property);
         }
         return decoded;
     } catch (e) {
@@ -723,15 +2752,15 @@ const showToast = (message) => {
 
 window.shareData = () => {
     if (properties.length === 0) {
-        showToast('Add properties first');
+        showToast(t('toastAddPropertiesFirst'));
         return;
     }
     const encoded = encodeShareData(settings, properties);
     const url = window.location.origin + window.location.pathname + '?s=' + encoded;
     navigator.clipboard.writeText(url).then(() => {
-        showToast('Link copied to clipboard!');
+        showToast(t('toastLinkCopied'));
     }).catch(() => {
-        showToast('Failed to copy link');
+        showToast(t('toastCopyFailed'));
     });
 };
 
@@ -763,7 +2792,7 @@ window.replaceWithSharedData = () => {
     exitSharedView();
     localStorage.setItem('property_calculator_settings', JSON.stringify(settings));
     localStorage.setItem('property_calculator_data', JSON.stringify(properties.map(({ isEditing, ...rest }) => rest)));
-    showToast('Shared data replaced your data');
+    showToast(t('toastSharedReplaced'));
 };
 
 window.addSharedData = () => {
@@ -774,7 +2803,7 @@ window.addSharedData = () => {
     properties = merged.map(p => recalculateProperty(p));
     localStorage.setItem('property_calculator_data', JSON.stringify(properties.map(({ isEditing, ...rest }) => rest)));
     updateUI();
-    showToast('Shared properties added to your data');
+    showToast(t('toastSharedAdded'));
 };
 
 window.dismissSharedData = () => {
@@ -784,211 +2813,1460 @@ window.dismissSharedData = () => {
     updateUI();
 };
 
-window.togglePreviewMyData = () => {
-    const checked = document.getElementById('previewWithMyData').checked;
-    if (checked) {
-        const localProps = loadLocalProperties();
-        const tagged = sharedProperties.map(p => ({ ...p, _isShared: true }));
-        properties = [...localProps, ...tagged];
-        loadSettings();
-        properties.forEach(p => recalculateProperty(p));
+window.togglePreviewMyData = () => {
+    const checked = document.getElementById('previewWithMyData').checked;
+    if (checked) {
+        const localProps = loadLocalProperties();
+        const tagged = sharedProperties.map(p => ({ ...p, _isShared: true }));
+        properties = [...localProps, ...tagged];
+        loadSettings();
+        properties.forEach(p => recalculateProperty(p));
+    } else {
+        properties = sharedProperties.map(p => ({ ...p, _isShared: true }));
+        properties.forEach(p => recalculateProperty(p));
+    }
+    updateUI();
+};
+
+function initApp() {
+    loadSettings();
+    loadPreferences();
+    applyPreferencesUI();
+
+    const shareParam = new URLSearchParams(window.location.search).get('s');
+    if (shareParam) {
+        const decoded = decodeShareData(shareParam);
+        if (decoded) {
+            isSharedView = true;
+            settings = normalizeSettings(decoded.settings);
+            settingTaxInput.value = settings.taxRate;
+            settingLawyerInput.value = settings.lawyerRate;
+            settingAppreciationInput.value = settings.appreciation;
+            settingRentGrowthInput.value = settings.rentGrowth;
+            settingCostGrowthInput.value = settings.costGrowth;
+            settingCpiInput.value = settings.cpi;
+            settingVacancyInput.value = vacancyFromPercent(settings.vacancyRate);
+            settingBadDebtInput.value = settings.badDebtRate;
+            settingRentalTaxRegimeInput.value = settings.rentalTaxRegime;
+            settingRentalTaxRateInput.value = settings.rentalTaxRate;
+            settingFlatCostAllowanceInput.value = settings.flatCostAllowance;
+            settingSaleTaxRateInput.value = settings.saleTaxRate;
+            settingSaleTaxScheduleInput.value = settings.saleTaxSchedule.join(', ');
+            settingStartYearInput.value = settings.startYear;
+            settingReinvestCashflowInput.checked = settings.reinvestCashflow;
+            screeningRuleRows.render('settingScreeningRules', settings.screeningRules);
+            syncExchangeRateInputs();
+            sharedProperties = decoded.properties.map(p => { p._isShared = true; return recalculateProperty(p); });
+            properties = sharedProperties.map(p => ({ ...p }));
+            document.getElementById('shared-banner').classList.remove('hidden');
+            updateUI();
+            return;
+        }
+    }
+
+    const storedData = localStorage.getItem('property_calculator_data');
+    if (storedData) {
+        try {
+            properties = JSON.parse(storedData);
+            properties.forEach(p => {
+                p.isEditing = false;
+                recalculateProperty(p);
+            });
+        } catch (e) {
+            console.error("Error parsing local storage", e);
+            properties = [];
+        }
+    } else {
+        properties = [];
+    }
+
+    updateUI();
+}
+
+function updateUI() {
+    // Disable form in shared view
+    const formFieldset = form.querySelectorAll('input, button[type="submit"]');
+    formFieldset.forEach(el => {
+        el.disabled = isSharedView;
+        if (isSharedView) el.classList.add('opacity-50');
+        else el.classList.remove('opacity-50');
+    });
+    if (!isSharedView) updateSidebarRateSteps();
+
+    const chartYearToggleWrapper = document.getElementById('chartYearToggleWrapper');
+
+    if (properties.length === 0) {
+        emptyState.classList.remove('hidden');
+        resultsSection.classList.add('hidden');
+        chartsContainer.classList.add('hidden');
+        chartYearToggleWrapper.classList.add('hidden');
+        document.getElementById('simulation-panel').classList.add('hidden');
+        document.getElementById('portfolio-summary').classList.add('hidden');
+        return;
+    }
+
+    emptyState.classList.add('hidden');
+    resultsSection.classList.remove('hidden');
+    chartsContainer.classList.remove('hidden');
+    chartYearToggleWrapper.classList.remove('hidden');
+
+    renderTable();
+    renderCharts();
+}
+
+function renderTableHeader() {
+    const headerRow = document.querySelector('#results-section thead tr');
+    headerRow.querySelectorAll('th[data-metric]').forEach(th => th.remove());
+    const actionHeader = headerRow.lastElementChild;
+    visibleMetricColumns().forEach(col => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.dataset.metric = col.key;
+        th.dataset.column = col.key;
+        th.className = 'px-6 py-3 text-left text-xs font-semibold text-zinc-600 dark:text-zinc-400 uppercase tracking-wider cursor-pointer select-none hover:text-indigo-600';
+        th.innerHTML = `<span>${t(col.label, { years: preferences.roiHorizon })}</span><span data-sort-indicator></span>`;
+        th.onclick = () => sortTable(col.key);
+        headerRow.insertBefore(th, actionHeader);
+    });
+    headerRow.querySelectorAll('[data-sort-indicator]').forEach(indicator => {
+        const { key, direction } = preferences.tableSort;
+        indicator.textContent = indicator.parentElement.dataset.column === key ? (direction === 'asc' ? ' ▲' : ' ▼') : '';
+    });
+}
+
+// Fixed columns are in every row's markup and hidden afterwards
+const applyColumnVisibility = () => {
+    document.querySelectorAll('#results-section [data-column]').forEach(cell => {
+        cell.classList.toggle('hidden', isColumnHidden(cell.dataset.column));
+    });
+};
+
+function renderTable() {
+    renderTableHeader();
+    tableBody.innerHTML = '';
+    document.getElementById('screeningToggle').classList.toggle('hidden', settings.screeningRules.length === 0);
+    updateFilterCount();
+    const { rows, filteredOut, screenedOut } = selectTableRows();
+    rows.forEach(({ base, prop, screeningResults }) => {
+        const tr = document.createElement('tr');
+        if (prop._isShared) tr.classList.add('shared-row');
+        const cfClass = prop.cashflow >= 0 ? 'text-green-600 font-bold' : 'text-red-600 font-bold';
+
+        const priceM = (prop.price / 1000000).toFixed(1).replace(/\.0$/, '');
+        const rentK = prop.rent / 1000;
+        const renoM = (prop.renoCost / 1000000).toFixed(1).replace(/\.0$/, '');
+        const afterRenoM = ((prop.afterRenoValue || prop.price) / 1000000).toFixed(1).replace(/\.0$/, '');
+        const costsK = ((prop.monthlyCosts || 0) / 1000);
+
+        const downM = (prop.downPayment / 1000000).toFixed(1).replace(/\.0$/, '');
+
+        const roi5 = calculateProjectedROI(prop, 5);
+        const roi5AfterTax = calculateProjectedROI(prop, 5, { afterTax: true });
+
+        const roi5Class = roi5 >= 0 ? 'text-green-600' : 'text-red-600';
+        const roi5Cell = `
+            <div class="cursor-help border-b border-dotted border-gray-400 dark:border-zinc-500 inline-block pb-0.5"
+                 onmouseenter="showExitTooltip(event, ${prop.id})"
+                 onmouseleave="hideBreakdownTooltip()"
+                 onclick="showExitTooltip(event, ${prop.id})">
+                <div>${formatPercent(roi5, 1)}</div>
+                <div class="text-xs font-normal text-gray-400 dark:text-zinc-500 mt-0.5">(${t('afterTaxNote', { value: formatPercent(roi5AfterTax, 1) })})</div>
+            </div>
+        `;
+
+        const safeName = escapeHTML(prop.name);
+        const rateNote = describeRateSchedule(prop);
+        const extraLoans = (prop.tranches || []).length;
+
+        const metrics = lazyMetrics(prop);
+        const metricCells = visibleMetricColumns().map(col => `
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">${formatMetric(col, col.value(prop, metrics), prop)}</td>
+        `).join('');
+
+        const commonCells = `
+            <td data-column="initialCash" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                <div class="cursor-help border-b border-dotted border-gray-400 dark:border-zinc-500 inline-block pb-0.5"
+                     onmouseenter="showBreakdownTooltip(event, ${prop.id})"
+                     onmouseleave="hideBreakdownTooltip()"
+                     onclick="showBreakdownTooltip(event, ${prop.id})">
+                    <div id="ic-text-${prop.id}" class="font-medium text-gray-900 dark:text-zinc-100">${formatCompact(prop.totalInvested, prop.currency)}</div>
+                    <div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${t('downPlusFees', { percent: formatPercent(prop.downPaymentPercent) })})</div>
+                </div>
+                ${prop.isEditing ? `
+                    <div class="mt-2 space-y-1 border-t pt-1 border-gray-200 dark:border-zinc-700">
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.01" id="input-down-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${prop.downPaymentPercent}"
+                                   oninput="syncTableDown(${prop.id}, 'percent')">
+                            <span class="ml-1">%</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-down-value-${prop.id}" class="table-input w-14 text-xs"
+                                   value="${downM}"
+                                   oninput="syncTableDown(${prop.id}, 'value')">
+                            <span class="ml-1">M ${getCurrencySymbol(prop.currency)}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-reno-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${renoM}">
+                            <span class="ml-1">${t('editReno')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="1" id="input-renomonths-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${prop.renoMonths}">
+                            <span class="ml-1">${t('editRenoMonths')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <select id="input-renoschedule-${prop.id}" class="table-input w-28 text-xs">
+                                ${optionsHTML(renoSchedules, prop.renoSchedule)}
+                            </select>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-afterreno-${prop.id}" class="table-input w-14 text-xs"
+                                   value="${afterRenoM}" placeholder="${priceM}">
+                            <span class="ml-1">${t('editValue')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="1" id="input-costs-${prop.id}" class="table-input w-14 text-xs"
+                                   value="${costsK}">
+                            <span class="ml-1">${t('editCosts')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-appreciation-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${encodeOptional(prop.appreciation)}" placeholder="${settings.appreciation}">
+                            <span class="ml-1">${t('editAppreciation')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-rentgrowth-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${encodeOptional(prop.rentGrowth)}" placeholder="${settings.rentGrowth}">
+                            <span class="ml-1">${t('editRentGrowth')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-costgrowth-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${encodeOptional(prop.costGrowth)}" placeholder="${settings.costGrowth}">
+                            <span class="ml-1">${t('editCostGrowth')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-vacancy-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${encodeOptional(vacancyFromPercent(prop.vacancyRate))}" placeholder="${vacancyFromPercent(settings.vacancyRate)}">
+                            <span class="ml-1">${vacancyUnitLabel()} ${t('vacancy')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-baddebt-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${encodeOptional(prop.badDebtRate)}" placeholder="${settings.badDebtRate}">
+                            <span class="ml-1">${t('editBadDebt')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <select id="input-taxregime-${prop.id}" class="table-input w-28 text-xs">
+                                ${taxRegimeOptions(prop.taxRegime, t('defaultValue', { value: t(rentalTaxRegimes[settings.rentalTaxRegime]) }))}
+                            </select>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="1" id="input-saleyear-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${prop.saleYear}">
+                            <span class="ml-1">${t('saleYear')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-agentfee-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${prop.agentFeePercent}">
+                            <span class="ml-1">${t('editAgentFee')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="1" id="input-saleclosing-${prop.id}" class="table-input w-14 text-xs"
+                                   value="${prop.saleClosingCosts / 1000}">
+                            <span class="ml-1">${t('editClosing')}</span>
+                        </div>
+                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
+                            <input type="number" step="0.1" id="input-penalty-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${prop.prepaymentPenaltyPercent}">
+                            <span class="ml-1">${t('editPenalty')}</span>
+                        </div>
+                    </div>
+                ` : ''}
+            </td>
+        `;
+
+        if (prop.isEditing) {
+            tr.innerHTML = `
+                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-zinc-100">
+                    <input type="text" id="input-name-${prop.id}" class="table-input font-bold"
+                           value="${safeName}">
+                    <div class="text-xs font-normal text-gray-400 dark:text-zinc-500 flex items-center mt-1">
+                        <input type="number" step="1" id="input-purchaseyear-${prop.id}" class="table-input w-14 text-xs"
+                               value="${calendarYear(prop.purchaseYear)}">
+                        <span class="ml-1">${t('purchaseYear')}</span>
+                    </div>
+                    <div class="mt-2 space-y-1 border-t pt-1 border-gray-200 dark:border-zinc-700 text-xs font-normal w-48">
+                        <input type="text" id="input-location-${prop.id}" class="table-input w-full text-xs"
+                               value="${escapeHTML(prop.location)}" placeholder="${t('location')}">
+                        <div class="flex items-center text-gray-400 dark:text-zinc-500">
+                            <input type="number" step="1" id="input-rooms-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${encodeOptional(prop.rooms)}">
+                            <span class="ml-1">${t('rooms')}</span>
+                        </div>
+                        <input type="text" id="input-tags-${prop.id}" class="table-input w-full text-xs"
+                               value="${escapeHTML(prop.tags.join(', '))}" placeholder="${t('tags')}">
+                        <input type="url" id="input-url-${prop.id}" class="table-input w-full text-xs"
+                               value="${escapeHTML(prop.listingUrl)}" placeholder="${t('listingUrl')}">
+                        <textarea id="input-notes-${prop.id}" rows="2" class="table-input w-full text-xs"
+                                  placeholder="${t('notes')}">${escapeHTML(prop.notes)}</textarea>
+                    </div>
+                </td>
+                <td data-column="price" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                    <div class="flex items-center">
+                        <input type="number" step="0.1" id="input-price-${prop.id}" class="table-input w-16"
+                               value="${priceM}">
+                        <span class="ml-1 text-xs">M</span>
+                    </div>
+                    <div class="flex items-center mt-1">
+                        <input type="number" step="1" id="input-area-${prop.id}" class="table-input w-16 text-xs"
+                               value="${encodeOptional(prop.area)}">
+                        <span class="ml-1 text-xs">m²</span>
+                    </div>
+                </td>
+                ${commonCells}
+                <td data-column="rate" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                    <div class="flex items-center">
+                        <input type="number" step="0.01" id="input-rate-${prop.id}" class="table-input w-14"
+                               value="${prop.rate}">
+                        <span class="ml-1 text-xs">%</span>
+                    </div>
+                    <div class="flex items-center mt-1">
+                        <input type="number" step="1" id="input-term-${prop.id}" class="table-input w-14"
+                               value="${prop.term}">
+                        <span class="ml-1 text-xs">${t('yrs')}</span>
+                    </div>
+                    <div class="mt-2 space-y-1 border-t pt-1 border-gray-200 dark:border-zinc-700 text-xs">
+                        <div class="flex items-center">
+                            <select id="input-fixedyears-${prop.id}" class="table-input w-24 text-xs"
+                                    onchange="onFixedPeriodChange(${prop.id}, this.value)">
+                                ${optionsHTML(fixedPeriods, prop.fixedYears)}
+                            </select>
+                            <span class="ml-1">${t('editFixed')}</span>
+                        </div>
+                        <div class="flex items-center">
+                            <input type="number" step="0.1" id="input-rateshock-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${prop.rateShock || 0}">
+                            <span class="ml-1">${t('editRateShock')}</span>
+                        </div>
+                        <div class="flex items-center">
+                            <input type="text" id="input-ratesteps-${prop.id}" class="table-input w-24 text-xs disabled:opacity-50"
+                                   value="${formatRateSteps(prop.rateSteps)}" placeholder="5:7.5, 10:8" ${prop.fixedYears == null ? 'disabled' : ''}>
+                        </div>
+                        <div class="flex items-center">
+                            <input type="number" step="1" id="input-grace-${prop.id}" class="table-input w-10 text-xs"
+                                   value="${prop.graceMonths || 0}">
+                            <span class="ml-1">${t('editGrace')}</span>
+                        </div>
+                    </div>
+                    <div class="mt-2 border-t pt-1 border-gray-200 dark:border-zinc-700 text-xs w-72">
+                        <div class="text-gray-400 dark:text-zinc-500 mb-1">${t('extraLoans')} (${t('extraLoansColumns')})</div>
+                        <div id="tranches-${prop.id}" class="space-y-1">${trancheRows.rowsHTML(prop.tranches)}</div>
+                        <button type="button" onclick="addEditorRow('tranche', 'tranches-${prop.id}')" class="mt-1 text-indigo-600 dark:text-indigo-400 hover:text-indigo-900">${t('addLoan')}</button>
+                    </div>
+                    <div class="mt-2 border-t pt-1 border-gray-200 dark:border-zinc-700 text-xs w-72">
+                        <div class="text-gray-400 dark:text-zinc-500 mb-1">${t('refinancing')} (${t('refinanceColumns')})</div>
+                        <div id="refinances-${prop.id}" class="space-y-1">${refinanceRows.rowsHTML(prop.refinances)}</div>
+                        <button type="button" onclick="addEditorRow('refinance', 'refinances-${prop.id}')" class="mt-1 text-indigo-600 dark:text-indigo-400 hover:text-indigo-900">${t('addRefinance')}</button>
+                    </div>
+                    <div class="mt-2 border-t pt-1 border-gray-200 dark:border-zinc-700 text-xs w-72">
+                        <div class="text-gray-400 dark:text-zinc-500 mb-1">${t('costBreakdown')} (${t('costItemColumns')})</div>
+                        <div id="costitems-${prop.id}" class="space-y-1">${costItemRows.rowsHTML(prop.costItems)}</div>
+                        <button type="button" onclick="addEditorRow('costItem', 'costitems-${prop.id}')" class="mt-1 text-indigo-600 dark:text-indigo-400 hover:text-indigo-900">${t('addCostItem')}</button>
+                    </div>
+                    <div class="mt-2 border-t pt-1 border-gray-200 dark:border-zinc-700 text-xs w-72">
+                        <div class="text-gray-400 dark:text-zinc-500 mb-1">${t('purchaseCosts')} (${t('purchaseCostColumns')})</div>
+                        <div id="purchasecosts-${prop.id}" class="space-y-1">${purchaseCostRows.rowsHTML(prop.purchaseCosts ?? defaultPurchaseCosts)}</div>
+                        <button type="button" onclick="addEditorRow('purchaseCost', 'purchasecosts-${prop.id}')" class="mt-1 text-indigo-600 dark:text-indigo-400 hover:text-indigo-900">${t('addPurchaseCost')}</button>
+                    </div>
+                </td>
+                <td id="mortgage-${prop.id}" data-column="mortgage" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">${formatMoney(prop.monthlyPayment, prop.currency)}</td>
+                <td data-column="rent" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                    <div class="flex items-center">
+                        <input type="number" id="input-rent-${prop.id}" class="table-input w-16"
+                               value="${rentK}">
+                        <span class="ml-1 text-xs">k</span>
+                    </div>
+                    <div class="mt-2 border-t pt-1 border-gray-200 dark:border-zinc-700 text-xs w-64">
+                        <select id="input-incomemode-${prop.id}" class="table-input w-full text-xs mb-1">
+                            ${optionsHTML(incomeModes, prop.incomeMode)}
+                        </select>
+                        <div class="text-gray-400 dark:text-zinc-500 mb-1">${t('shortTermRental')}</div>
+                        <div id="shortterm-${prop.id}">${shortTermEditorHTML(prop.shortTerm)}</div>
+                    </div>
+                </td>
+                <td id="cashflow-${prop.id}" data-column="cashflow" class="px-6 py-4 whitespace-nowrap text-sm ${cfClass}">${formatMoney(prop.cashflow, prop.currency)}</td>
+                <td id="roi5-${prop.id}" data-column="roi5" class="px-6 py-4 whitespace-nowrap text-sm font-medium ${roi5Class}">${roi5Cell}</td>
+                ${metricCells}
+                <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    <button onclick="toggleEdit(${prop.id})" class="text-indigo-600 dark:text-indigo-400 hover:text-indigo-900 font-bold">${t('save')}</button>
+                </td>
+            `;
+        } else {
+            tr.innerHTML = `
+                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-zinc-100">
+                    <div>${safeName}</div>
+                    ${listingSummaryHTML(prop)}
+                    ${screeningResults.length > 0 ? screeningBadgeHTML(prop, screeningResults) : ''}
+                    ${base.scenarios.length > 0 ? `<div class="text-xs font-normal text-indigo-600 dark:text-indigo-400 mt-0.5">${escapeHTML(getScenarioName(base, base.activeScenario))}</div>` : ''}
+                    ${preferences.portfolio ? `
+                    <div class="flex items-center gap-2 mt-1 text-xs font-normal text-gray-500 dark:text-zinc-400">
+                        <label class="inline-flex items-center gap-1 cursor-pointer select-none">
+                            <input type="checkbox" class="accent-indigo-600" ${base.inPortfolio ? 'checked' : ''}
+                                   onchange="togglePortfolioProperty(${prop.id})">
+                            ${t('inPortfolio')}
+                        </label>
+                        <label class="inline-flex items-center gap-1">
+                            ${t('purchaseYearShort')}
+                            <input type="number" min="${settings.startYear}" step="1" class="table-input w-14 text-xs" value="${calendarYear(base.purchaseYear)}"
+                                   onchange="setPurchaseYear(${prop.id}, this.value)">
+                        </label>
+                    </div>` : base.purchaseYear > 0 ? `
+                    <div class="text-xs font-normal text-gray-500 dark:text-zinc-400 mt-0.5">${t('boughtInYear', { year: calendarYear(base.purchaseYear) })}</div>` : ''}
+                </td>
+                <td data-column="price" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                    <div>${formatCompact(prop.price, prop.currency)}</div>
+                    ${prop.area ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${t('perSqmNote', { amount: formatMoney(prop.price / prop.area, prop.currency) })})</div>` : ''}
+                </td>
+                ${commonCells}
+                <td data-column="rate" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                    <div>${formatPercent(prop.rate)}</div>
+                    ${rateNote ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${rateNote})</div>` : ''}
+                    ${extraLoans > 0 ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${t(extraLoans > 1 ? 'extraLoansCount' : 'extraLoanCount', { count: extraLoans })})</div>` : ''}
+                    ${prop.loanCurrency ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${t('foreignLoanNote', { currency: currencies[prop.loanCurrency].code })}${prop.fxDrift ? `, ${t('fxDriftNote', { drift: `${prop.fxDrift > 0 ? '+' : ''}${formatNumber(prop.fxDrift)}` })}` : ''})</div>` : ''}
+                </td>
+                <td data-column="mortgage" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                    <div>${formatMoney(prop.monthlyPayment, prop.currency)}</div>
+                    ${prop.extraPayment > 0 ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${t('extraPaymentNote', { amount: formatMoney(prop.extraPayment, prop.currency) })})</div>` : ''}
+                </td>
+                <td data-column="rent" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
+                    <div>${formatMoney(prop.monthlyIncome, prop.currency)}</div>
+                    ${isShortTerm(prop) ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">${t('shortTermNote', { occupancy: formatPercent(getShortTermIncome(prop).occupancy, 0) })}</div>` : ''}
+                    ${prop.effectiveRent < prop.monthlyIncome ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${t('effectiveRentNote', { amount: formatMoney(prop.effectiveRent, prop.currency) })})</div>` : ''}
+                    ${prop.area ? `<div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${t('perSqmNote', { amount: formatMoney(prop.monthlyIncome / prop.area, prop.currency) })})</div>` : ''}
+                </td>
+                <td data-column="cashflow" class="px-6 py-4 whitespace-nowrap text-sm ${cfClass}">${formatMoney(prop.cashflow, prop.currency)}</td>
+                <td data-column="roi5" class="px-6 py-4 whitespace-nowrap text-sm font-medium ${roi5Class}">${roi5Cell}</td>
+                ${metricCells}
+                <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    <button onclick="openPropertyDetail(${prop.id})" class="text-gray-600 dark:text-zinc-400 hover:text-gray-900 dark:hover:text-zinc-200 hover:underline">${t('details')}</button>
+                    ${isSharedView ? '' : `
+                    <button onclick="toggleEdit(${prop.id})" class="text-indigo-600 dark:text-indigo-400 hover:text-indigo-900 hover:underline">${t('edit')}</button>
+                    <button onclick="removeProperty(${prop.id})" class="text-red-600 hover:text-red-900 hover:underline">${t('remove')}</button>
+                    `}
+                </td>
+            `;
+        }
+
+        tableBody.appendChild(tr);
+        if (preferences.scenarioRows && !base.isEditing) {
+            [baseScenarioId, ...base.scenarios.map(s => s.id)]
+                .filter(id => id !== base.activeScenario)
+                .forEach(id => tableBody.appendChild(renderScenarioRow(base, id)));
+        }
+    });
+
+    const hiddenNotes = [
+        filteredOut > 0 ? t(filteredOut > 1 ? 'filteredOutCount' : 'filteredOutOne', { count: filteredOut }) : null,
+        screenedOut > 0 ? t(screenedOut > 1 ? 'screenedOutCount' : 'screenedOutOne', { count: screenedOut }) : null
+    ].filter(Boolean);
+    if (hiddenNotes.length > 0) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td colspan="${document.querySelector('#results-section thead tr').children.length}" class="px-6 py-3 text-sm text-gray-400 dark:text-zinc-500 text-center">
+                ${hiddenNotes.join(' ')}
+            </td>
+        `;
+        tableBody.appendChild(tr);
+    }
+    applyColumnVisibility();
+}
+
+// Location, size, tags and listing link under the name; notes and the date added are in the tooltip
+const listingSummaryHTML = (prop) => {
+    const facts = [
+        prop.location ? escapeHTML(prop.location) : null,
+        prop.rooms ? t('roomsCount', { count: formatNumber(prop.rooms) }) : null,
+        prop.area ? `${formatNumber(prop.area)} m²` : null
+    ].filter(Boolean);
+    const link = isWebUrl(prop.listingUrl)
+        ? `<a href="${escapeHTML(prop.listingUrl)}" target="_blank" rel="noopener noreferrer" class="text-indigo-600 dark:text-indigo-400 hover:underline">${t('listing')} ↗</a>`
+        : '';
+    if (facts.length === 0 && prop.tags.length === 0 && !link) return '';
+    return `
+        <div class="text-xs font-normal text-gray-500 dark:text-zinc-400 mt-0.5">${[...facts, link].filter(Boolean).join(' · ')}</div>
+        ${prop.tags.length > 0 ? `
+        <div class="flex flex-wrap gap-1 mt-1">
+            ${prop.tags.map(tag => `<span class="px-1.5 py-0.5 rounded bg-gray-100 dark:bg-zinc-700 text-xs font-normal text-gray-600 dark:text-zinc-300">${escapeHTML(tag)}</span>`).join('')}
+        </div>` : ''}
+    `;
+};
+
+// Passed rules out of all rules, green only when every rule passed
+const screeningBadgeHTML = (prop, results) => {
+    const passed = results.filter(result => result.passed).length;
+    const allPassed = passed === results.length;
+    return `
+        <span class="inline-block mt-1 px-1.5 py-0.5 rounded text-xs font-semibold cursor-help ${allPassed ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'}"
+              onmouseenter="showScreeningTooltip(event, ${prop.id})"
+              onmouseleave="hideBreakdownTooltip()"
+              onclick="showScreeningTooltip(event, ${prop.id})">
+            ${allPassed ? '✓' : '✗'} ${t('rulesPassed', { passed, total: results.length })}
+        </span>
+    `;
+};
+
+// Read-only sub-row with the headline figures of one of the property's other scenarios
+const renderScenarioRow = (prop, scenarioId) => {
+    const view = getScenarioView(prop, scenarioId);
+    const tr = document.createElement('tr');
+    tr.className = 'bg-gray-50 dark:bg-zinc-900/40';
+    if (prop._isShared) tr.classList.add('shared-row');
+    const cell = 'px-6 py-2 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400';
+    const roi5 = calculateProjectedROI(view, 5);
+    const metrics = lazyMetrics(view);
+    const metricCells = visibleMetricColumns().map(col => `<td class="${cell}">${formatMetric(col, col.value(view, metrics), view)}</td>`).join('');
+
+    tr.innerHTML = `
+        <td class="${cell} pl-10">↳ ${escapeHTML(getScenarioName(prop, scenarioId))}</td>
+        <td data-column="price" class="${cell}">${formatCompact(view.price, view.currency)}</td>
+        <td data-column="initialCash" class="${cell}">${formatCompact(view.totalInvested, view.currency)}</td>
+        <td data-column="rate" class="${cell}">${formatPercent(view.rate)}</td>
+        <td data-column="mortgage" class="${cell}">${formatMoney(view.monthlyPayment, view.currency)}</td>
+        <td data-column="rent" class="${cell}">${formatMoney(view.monthlyIncome, view.currency)}</td>
+        <td data-column="cashflow" class="${cell} ${view.cashflow >= 0 ? 'text-green-600' : 'text-red-600'}">${formatMoney(view.cashflow, view.currency)}</td>
+        <td data-column="roi5" class="${cell} ${roi5 >= 0 ? 'text-green-600' : 'text-red-600'}">${formatPercent(roi5, 1)}</td>
+        ${metricCells}
+        <td class="${cell} text-right space-x-2">
+            <label class="inline-flex items-center gap-1 cursor-pointer select-none">
+                <input type="checkbox" class="accent-indigo-600" ${prop.plottedScenarios.includes(scenarioId) ? 'checked' : ''}
+                       onchange="toggleScenarioPlot(${prop.id}, ${scenarioId})">
+                ${t('plotScenario')}
+            </label>
+            <button onclick="setActiveScenario(${prop.id}, ${scenarioId})" class="text-indigo-600 dark:text-indigo-400 hover:text-indigo-900 hover:underline">${t('setActive')}</button>
+        </td>
+    `;
+    return tr;
+};
+
+// --- Table Columns ---
+// `value` is the figure a column sorts and filters on, in property currency when `money` is set;
+// `metrics` returns the property's calculateMetrics. Range filters are entered in `unit`s:
+// millions or thousands of the display currency, or the value itself.
+const fixedColumns = [
+    { key: 'price', label: 'price', money: true, unit: 'M', value: (prop) => prop.price },
+    { key: 'initialCash', label: 'initialCash', money: true, unit: 'M', value: (prop) => prop.totalInvested },
+    { key: 'rate', label: 'rate', unit: '%', value: (prop) => prop.rate },
+    { key: 'mortgage', label: 'mortgage', money: true, unit: 'k', value: (prop) => prop.monthlyPayment },
+    { key: 'rent', label: 'rent', money: true, unit: 'k', value: (prop) => prop.monthlyIncome },
+    { key: 'cashflow', label: 'cashflow', money: true, unit: 'k', value: (prop) => prop.cashflow },
+    { key: 'roi5', label: 'roi5y', unit: '%', value: (prop) => calculateProjectedROI(prop, 5) }
+];
+
+// Optional columns, off until picked
+const metricColumns = [
+    { key: 'irr', label: 'metricIrr', unit: '%', value: (prop, metrics) => metrics().irr, format: v => formatPercent(v, 1) },
+    { key: 'npv', label: 'metricNpv', money: true, unit: 'M', value: (prop, metrics) => metrics().npv, format: (v, prop) => formatCompact(v, prop.currency) },
+    { key: 'cashOnCash', label: 'metricCashOnCash', unit: '%', value: (prop, metrics) => metrics().cashOnCash, format: v => formatPercent(v, 1) },
+    { key: 'capRate', label: 'metricCapRate', unit: '%', value: (prop, metrics) => metrics().capRate, format: v => formatPercent(v, 1) },
+    { key: 'dscr', label: 'metricDscr', unit: '×', value: (prop, metrics) => metrics().dscr, format: v => formatNumber(v, 2) },
+    { key: 'grossYield', label: 'grossYield', unit: '%', value: calculateGrossYield, format: v => formatPercent(v, 1) },
+    {
+        key: 'pricePerSqm',
+        label: 'pricePerSqm',
+        money: true,
+        unit: 'k',
+        value: (prop) => prop.area ? prop.price / prop.area : null,
+        format: (v, prop) => formatMoney(v, prop.currency)
+    },
+    {
+        key: 'rentPerSqm',
+        label: 'rentPerSqm',
+        money: true,
+        unit: 'k',
+        value: (prop) => prop.area ? prop.monthlyIncome / prop.area : null,
+        format: (v, prop) => formatMoney(v, prop.currency)
+    },
+    {
+        key: 'roiHorizon',
+        label: 'roiAtYears',
+        unit: '%',
+        value: (prop) => calculateProjectedROI(prop, preferences.roiHorizon),
+        format: v => formatPercent(v, 1)
+    }
+];
+
+const tableColumns = [...fixedColumns, ...metricColumns];
+
+const visibleMetricColumns = () => metricColumns.filter(col => preferences.metricColumns.includes(col.key));
+
+// Hidden fixed columns come back while a row is edited, so none of its inputs are out of reach
+const isColumnHidden = (key) => preferences.hiddenColumns.includes(key) && !properties.some(p => p.isEditing);
+
+const visibleTableColumns = () => [...fixedColumns.filter(col => !isColumnHidden(col.key)), ...visibleMetricColumns()];
+
+const unitScales = { M: 1000000, k: 1000 };
+
+const columnUnitLabel = (col) => col.money ? `${col.unit} ${getCurrencySymbol(getDisplayCurrency())}` : col.unit;
+
+// A column's value in filter units; money is converted to the display currency first
+const readColumn = (col, prop, metrics) => {
+    const value = col.value(prop, metrics);
+    if (value === null || value === undefined || !isFinite(value)) return null;
+    return col.money ? convertCurrency(value, prop.currency, getDisplayCurrency()) / unitScales[col.unit] : value;
+};
+
+const matchesSearch = (prop, query) => [prop.name, prop.location, prop.notes, ...prop.tags]
+    .some(text => text.toLowerCase().includes(query));
+
+// Rows in display order: search and range filters first, then the screening filter, then the
+// sort. A row being edited always stays. Properties without a value sort last either way.
+const selectTableRows = () => {
+    const query = preferences.tableFilter.text.trim().toLowerCase();
+    const ranges = visibleTableColumns()
+        .map(col => ({ col, min: null, max: null, ...preferences.tableFilter.ranges[col.key] }))
+        .filter(range => range.min !== null || range.max !== null);
+    const screening = settings.screeningRules.length > 0;
+    const sortColumn = tableColumns.find(col => col.key === preferences.tableSort.key);
+    let filteredOut = 0;
+    let screenedOut = 0;
+    const rows = [];
+
+    properties.forEach(base => {
+        // Rows show the active scenario; editing always works on the property's own inputs
+        const prop = base.isEditing ? base : getScenarioView(base);
+        const metrics = lazyMetrics(prop);
+        const screeningResults = screening && !base.isEditing ? evaluateScreening(prop) : [];
+        if (!base.isEditing) {
+            const outOfRange = ranges.some(({ col, min, max }) => {
+                const value = readColumn(col, prop, metrics);
+                return value === null || (min !== null && value < min) || (max !== null && value > max);
+            });
+            if ((query && !matchesSearch(prop, query)) || outOfRange) {
+                filteredOut++;
+                return;
+            }
+            if (preferences.passingOnly && !screeningResults.every(result => result.passed)) {
+                screenedOut++;
+                return;
+            }
+        }
+        rows.push({ base, prop, screeningResults, sortValue: sortColumn ? readColumn(sortColumn, prop, metrics) : null });
+    });
+
+    if (sortColumn || preferences.tableSort.key === 'name') {
+        const sign = preferences.tableSort.direction === 'asc' ? 1 : -1;
+        const byName = (a, b) => a.prop.name.localeCompare(b.prop.name, getLocale());
+        rows.sort((a, b) => {
+            if (!sortColumn) return sign * byName(a, b);
+            if (a.sortValue === null || b.sortValue === null) return (a.sortValue === null) - (b.sortValue === null);
+            return sign * (a.sortValue - b.sortValue);
+        });
+    }
+    return { rows, filteredOut, screenedOut };
+};
+
+// Names start A→Z and figures high→low; a third click goes back to the order of adding
+window.sortTable = (key) => {
+    const firstDirection = key === 'name' ? 'asc' : 'desc';
+    const { key: current, direction } = preferences.tableSort;
+    if (current !== key) {
+        preferences.tableSort = { key, direction: firstDirection };
+    } else if (direction === firstDirection) {
+        preferences.tableSort = { key, direction: firstDirection === 'asc' ? 'desc' : 'asc' };
+    } else {
+        preferences.tableSort = { ...defaultTableSort };
+    }
+    savePreferences();
+    renderTable();
+};
+
+const renderFilterPicker = () => {
+    const { ranges } = preferences.tableFilter;
+    const bound = (col, side) => encodeOptional((ranges[col.key] || {})[side]);
+    document.getElementById('filterPickerOptions').innerHTML = visibleTableColumns().map(col => `
+        <div class="grid grid-cols-12 gap-1 items-center text-xs text-gray-700 dark:text-zinc-300">
+            <span class="col-span-5 truncate">${t(col.label, { years: preferences.roiHorizon })}</span>
+            <input type="number" step="any" data-filter-column="${col.key}" data-filter-bound="min" class="table-input col-span-3 text-xs"
+                   value="${bound(col, 'min')}" placeholder="${t('min')}">
+            <input type="number" step="any" data-filter-column="${col.key}" data-filter-bound="max" class="table-input col-span-3 text-xs"
+                   value="${bound(col, 'max')}" placeholder="${t('max')}">
+            <span class="col-span-1 text-gray-400 dark:text-zinc-500">${columnUnitLabel(col)}</span>
+        </div>
+    `).join('');
+};
+
+const updateFilterCount = () => {
+    const active = Object.values(preferences.tableFilter.ranges)
+        .filter(range => range.min !== null || range.max !== null).length + (preferences.tableFilter.text.trim() ? 1 : 0);
+    document.getElementById('filterCount').textContent = active > 0 ? ` (${active})` : '';
+};
+
+const tableSearchInput = document.getElementById('tableSearch');
+
+tableSearchInput.addEventListener('input', () => {
+    preferences.tableFilter = { ...preferences.tableFilter, text: tableSearchInput.value };
+    savePreferences();
+    renderTable();
+});
+
+document.getElementById('filterPickerOptions').addEventListener('input', (e) => {
+    const { filterColumn, filterBound } = e.target.dataset;
+    if (!filterColumn) return;
+    const { ranges } = preferences.tableFilter;
+    const range = { min: null, max: null, ...ranges[filterColumn], [filterBound]: parseOptional(e.target.value) };
+    preferences.tableFilter = { ...preferences.tableFilter, ranges: { ...ranges, [filterColumn]: range } };
+    savePreferences();
+    renderTable();
+});
+
+window.clearTableFilters = () => {
+    preferences.tableFilter = { ...defaultTableFilter };
+    tableSearchInput.value = '';
+    savePreferences();
+    renderFilterPicker();
+    renderTable();
+};
+
+const formatMetric = (col, value, prop) => (value === null || value === undefined || !isFinite(value)) ? '–' : col.format(value, prop);
+
+const renderColumnPicker = () => {
+    const option = (col, checked, handler) => `
+        <label class="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 dark:text-zinc-300 hover:bg-gray-50 dark:hover:bg-zinc-700 cursor-pointer select-none">
+            <input type="checkbox" class="accent-indigo-600" ${checked ? 'checked' : ''}
+                   onchange="${handler}('${col.key}')">
+            ${t(col.label, { years: preferences.roiHorizon })}
+        </label>
+    `;
+    document.getElementById('columnPickerOptions').innerHTML = `
+        ${fixedColumns.map(col => option(col, !preferences.hiddenColumns.includes(col.key), 'toggleTableColumn')).join('')}
+        <div class="my-1 border-t border-gray-200 dark:border-zinc-700"></div>
+        ${metricColumns.map(col => option(col, preferences.metricColumns.includes(col.key), 'toggleMetricColumn')).join('')}
+        <label class="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 dark:text-zinc-300">
+            ${t('roiHorizon')}
+            <input type="number" min="1" max="50" step="1" class="table-input w-14 text-xs" value="${preferences.roiHorizon}"
+                   onchange="setRoiHorizon(this.value)">
+            ${t('yrs')}
+        </label>
+    `;
+};
+
+window.toggleScenarioRows = () => {
+    preferences.scenarioRows = !preferences.scenarioRows;
+    savePreferences();
+    applyPreferencesUI();
+    renderTable();
+};
+
+window.togglePassingOnly = () => {
+    preferences.passingOnly = !preferences.passingOnly;
+    savePreferences();
+    applyPreferencesUI();
+    renderTable();
+};
+
+window.togglePortfolio = () => {
+    preferences.portfolio = !preferences.portfolio;
+    savePreferences();
+    applyPreferencesUI();
+    updateUI();
+};
+
+// Inclusion and purchase years also work on shared links, where nothing is saved.
+// Recalculating drops the scenario views, which carry copies of both fields.
+window.togglePortfolioProperty = (id) => {
+    const prop = properties.find(p => p.id === id);
+    if (!prop) return;
+    prop.inPortfolio = !prop.inPortfolio;
+    recalculateProperty(prop);
+    saveProperties();
+    updateUI();
+};
+
+window.setPurchaseYear = (id, value) => {
+    const prop = properties.find(p => p.id === id);
+    if (!prop) return;
+    const year = parseInt(value, 10) - settings.startYear;
+    prop.purchaseYear = year > 0 ? year : 0;
+    recalculateProperty(prop);
+    saveProperties();
+    updateUI();
+};
+
+window.toggleMetricColumn = (key) => {
+    const shown = preferences.metricColumns.includes(key);
+    preferences.metricColumns = shown
+        ? preferences.metricColumns.filter(k => k !== key)
+        : [...preferences.metricColumns, key];
+    savePreferences();
+    renderFilterPicker();
+    renderTable();
+};
+
+window.toggleTableColumn = (key) => {
+    const hidden = preferences.hiddenColumns.includes(key);
+    preferences.hiddenColumns = hidden
+        ? preferences.hiddenColumns.filter(k => k !== key)
+        : [...preferences.hiddenColumns, key];
+    savePreferences();
+    renderFilterPicker();
+    renderTable();
+};
+
+window.setRoiHorizon = (value) => {
+    preferences.roiHorizon = Math.min(50, Math.max(1, parseInt(value, 10) || defaultPreferences.roiHorizon));
+    savePreferences();
+    renderColumnPicker();
+    renderFilterPicker();
+    renderTable();
+};
+
+// --- Property Detail View ---
+const detailModal = document.getElementById('detail-modal');
+const detailContent = document.getElementById('detail-content');
+let detailPropertyId = null;
+let detailTab = 'overview';
+
+const detailTabs = [
+    { key: 'overview', label: 'overview' },
+    { key: 'amortization', label: 'amortization' },
+    { key: 'prepayment', label: 'prepayment' },
+    { key: 'sensitivity', label: 'sensitivity' },
+    { key: 'scenarios', label: 'scenarios' }
+];
+
+const formatLoanDuration = (months) => t('loanDuration', { years: Math.floor(months / 12), months: months % 12 });
+
+const renderDetailOverview = (prop) => {
+    const metrics = calculateMetrics(prop, getBenchmarkRate());
+    const exit = calculateRealisedReturn(prop);
+    const years = Math.max(prop.saleYear, preferences.chartYears);
+    const series = buildCashflowSeries(prop, years);
+
+    const metricCards = [
+        ...metricColumns.map(col => ({ label: t(col.label, { years: preferences.roiHorizon }), value: formatMetric(col, col.value(prop, () => metrics), prop) })),
+        { label: t('netProceedsInYear', { year: prop.saleYear }), value: formatCompact(exit.netProceeds, prop.currency) },
+        { label: t('realisedReturn'), value: formatPercent(exit.roi, 1) }
+    ].map(card => `
+        <div class="bg-gray-50 dark:bg-zinc-900 rounded-md p-3">
+            <div class="text-xs text-gray-500 dark:text-zinc-400">${card.label}</div>
+            <div class="text-lg font-semibold text-gray-900 dark:text-zinc-100">${card.value}</div>
+        </div>
+    `).join('');
+
+    const cell = 'px-3 py-1.5 text-right whitespace-nowrap';
+    const rows = series.map(row => `
+        <tr class="${row.year === prop.saleYear ? 'bg-indigo-50 dark:bg-indigo-900/20 font-medium' : ''}">
+            <td class="px-3 py-1.5 whitespace-nowrap">${row.year}</td>
+            <td class="${cell}">${formatCompact(row.effectiveRent, prop.currency)}</td>
+            <td class="${cell}">${formatCompact(row.operatingCosts, prop.currency)}</td>
+            <td class="${cell}">${formatCompact(row.noi, prop.currency)}</td>
+            <td class="${cell}">${formatCompact(row.debtService, prop.currency)}</td>
+            <td class="${cell}">${formatCompact(row.rentalTax, prop.currency)}</td>
+            <td class="${cell} ${row.afterTaxCashflow >= 0 ? 'text-green-600' : 'text-red-600'}">${formatCompact(row.afterTaxCashflow, prop.currency)}</td>
+            <td class="${cell}">${formatCompact(row.balance, prop.currency)}</td>
+            <td class="${cell}">${formatCompact(row.value, prop.currency)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <p class="text-sm text-gray-500 dark:text-zinc-400 mb-4">${t('overviewNote', { year: prop.saleYear, benchmark: formatPercent(getBenchmarkRate()) })}</p>
+        <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">${metricCards}</div>
+        <h4 class="text-sm font-semibold text-gray-500 dark:text-zinc-500 uppercase tracking-wider mb-2">${t('yearlyCashFlow')}</h4>
+        <div class="results-table-container">
+            <table class="min-w-full text-sm text-gray-700 dark:text-zinc-300">
+                <thead class="bg-zinc-100 dark:bg-zinc-900 text-xs text-zinc-600 dark:text-zinc-400 uppercase">
+                    <tr>
+                        <th class="px-3 py-2 text-left">${t('year')}</th>
+                        <th class="px-3 py-2 text-right">${t('rent')}</th>
+                        <th class="px-3 py-2 text-right">${t('costs')}</th>
+                        <th class="px-3 py-2 text-right">${t('noi')}</th>
+                        <th class="px-3 py-2 text-right">${t('debtService')}</th>
+                        <th class="px-3 py-2 text-right">${t('tax')}</th>
+                        <th class="px-3 py-2 text-right">${t('cashflow')}</th>
+                        <th class="px-3 py-2 text-right">${t('loan')}</th>
+                        <th class="px-3 py-2 text-right">${t('value')}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-zinc-700">${rows}</tbody>
+            </table>
+        </div>
+    `;
+};
+
+const renderDetailAmortization = (prop) => {
+    const { schedule, tranches } = getLoanSchedule(prop);
+    if (schedule.length === 0) {
+        return `<p class="text-sm text-gray-500 dark:text-zinc-400">${t('noLoan')}</p>`;
+    }
+    const yearly = summarizeScheduleByYear(schedule);
+    const totalInterest = yearly.reduce((sum, y) => sum + y.interest, 0);
+    const totalPaid = yearly.reduce((sum, y) => sum + y.payment + y.prepayment, 0);
+    const hasPrepayment = yearly.some(y => y.prepayment > 0);
+
+    const cell = 'px-3 py-1.5 text-right whitespace-nowrap';
+    const trancheRows = tranches.map(({ loan, schedule: trancheSchedule }) => `
+        <tr>
+            <td class="px-3 py-1.5 whitespace-nowrap">${escapeHTML(loan.name)}${loan.currency ? ` (${currencies[loan.currency].code})` : ''}</td>
+            <td class="${cell}">${formatMoney(loan.amount, loan.currency || prop.currency)}</td>
+            <td class="${cell}">${formatPercent(loan.rate)}</td>
+            <td class="${cell}">${t('yearsShort', { years: loan.term })}${loan.graceMonths ? ` (${t('graceNote', { months: loan.graceMonths })})` : ''}</td>
+            <td class="${cell}">${formatMoney(trancheSchedule[0].payment, prop.currency)}</td>
+            <td class="${cell}">${formatMoney(trancheSchedule.reduce((sum, row) => sum + row.interest, 0), prop.currency)}</td>
+        </tr>
+    `).join('');
+    const trancheTable = tranches.length > 1 ? `
+        <div class="results-table-container mb-4">
+            <table class="min-w-full text-sm text-gray-700 dark:text-zinc-300">
+                <thead class="bg-zinc-100 dark:bg-zinc-900 text-xs text-zinc-600 dark:text-zinc-400 uppercase">
+                    <tr>
+                        <th class="px-3 py-2 text-left">${t('loan')}</th>
+                        <th class="px-3 py-2 text-right">${t('amount')}</th>
+                        <th class="px-3 py-2 text-right">${t('rate')}</th>
+                        <th class="px-3 py-2 text-right">${t('term')}</th>
+                        <th class="px-3 py-2 text-right">${t('firstPayment')}</th>
+                        <th class="px-3 py-2 text-right">${t('totalInterest')}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-zinc-700">${trancheRows}</tbody>
+            </table>
+        </div>
+    ` : '';
+    const refinanceNotes = getLoanSchedule(prop).refinances.map(event => `
+        <li>${t('refinanceNote', {
+            year: event.year,
+            amount: formatMoney(event.amount, prop.currency),
+            ltv: formatPercent(event.ltv),
+            rate: formatPercent(event.rate),
+            years: event.term,
+            payoff: formatMoney(event.oldBalance + event.penalty, prop.currency),
+            fees: formatMoney(event.fees, prop.currency)
+        })} <span class="font-semibold ${event.cashOut >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}">${t(event.cashOut >= 0 ? 'cashOutAmount' : 'cashInAmount', { amount: formatMoney(Math.abs(event.cashOut), prop.currency) })}</span></li>
+    `).join('');
+    const loanSummary = tranches.length > 1
+        ? t('multiLoanSummary', { amount: formatMoney(prop.loanAmount, prop.currency), count: tranches.length })
+        : t('loanSummary', { amount: formatMoney(prop.loanAmount, prop.currency), rate: formatPercent(prop.rate), years: prop.term }) + (describeRateSchedule(prop) ? ` (${describeRateSchedule(prop)})` : '');
+    // Yearly subtotal rows toggle their monthly rows
+    const rows = yearly.map(year => `
+        <tr class="bg-gray-50 dark:bg-zinc-900 font-medium cursor-pointer hover:bg-gray-100 dark:hover:bg-zinc-700"
+            onclick="document.querySelectorAll('[data-amort-year=&quot;${year.year}&quot;]').forEach(r => r.classList.toggle('hidden'))">
+            <td class="px-3 py-1.5 whitespace-nowrap">${t('yearNumber', { year: year.year })} ▾</td>
+            <td class="${cell}"></td>
+            <td class="${cell}">${formatMoney(year.payment, prop.currency)}</td>
+            <td class="${cell}">${formatMoney(year.interest, prop.currency)}</td>
+            <td class="${cell}">${formatMoney(year.principal, prop.currency)}</td>
+            ${hasPrepayment ? `<td class="${cell}">${formatMoney(year.prepayment, prop.currency)}</td>` : ''}
+            <td class="${cell}">${formatMoney(year.balance, prop.currency)}</td>
+        </tr>
+        ${schedule.filter(row => row.year === year.year).map(row => `
+        <tr data-amort-year="${year.year}" class="hidden text-gray-500 dark:text-zinc-400">
+            <td class="px-3 py-1 pl-6 whitespace-nowrap">${t('monthNumber', { month: row.month })}</td>
+            <td class="${cell}">${formatPercent(row.rate)}</td>
+            <td class="${cell}">${formatMoney(row.payment, prop.currency)}</td>
+            <td class="${cell}">${formatMoney(row.interest, prop.currency)}</td>
+            <td class="${cell}">${formatMoney(row.principal, prop.currency)}</td>
+            ${hasPrepayment ? `<td class="${cell}">${formatMoney(row.prepayment, prop.currency)}</td>` : ''}
+            <td class="${cell}">${formatMoney(row.balance, prop.currency)}</td>
+        </tr>
+        `).join('')}
+    `).join('');
+
+    return `
+        <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div class="text-sm text-gray-600 dark:text-zinc-400">
+                ${loanSummary} ·
+                ${t('totalInterest')}: <span class="font-semibold text-gray-900 dark:text-zinc-100">${formatMoney(totalInterest, prop.currency)}</span> ·
+                ${t('totalPaid')}: <span class="font-semibold text-gray-900 dark:text-zinc-100">${formatMoney(totalPaid, prop.currency)}</span>
+            </div>
+            <button onclick="exportAmortizationCSV(${prop.id})" class="px-3 py-1.5 text-sm font-medium border border-gray-300 dark:border-zinc-600 rounded-md bg-white dark:bg-zinc-800 text-gray-700 dark:text-zinc-300 hover:bg-gray-50 dark:hover:bg-zinc-700 transition-colors">${t('exportCsv')}</button>
+        </div>
+        ${trancheTable}
+        ${refinanceNotes ? `<ul class="text-sm text-gray-600 dark:text-zinc-400 mb-4 space-y-1">${refinanceNotes}</ul>` : ''}
+        <div class="results-table-container">
+            <table class="min-w-full text-sm text-gray-700 dark:text-zinc-300">
+                <thead class="bg-zinc-100 dark:bg-zinc-900 text-xs text-zinc-600 dark:text-zinc-400 uppercase">
+                    <tr>
+                        <th class="px-3 py-2 text-left">${t('period')}</th>
+                        <th class="px-3 py-2 text-right">${t('rate')}</th>
+                        <th class="px-3 py-2 text-right">${t('payment')}</th>
+                        <th class="px-3 py-2 text-right">${t('interest')}</th>
+                        <th class="px-3 py-2 text-right">${t('principal')}</th>
+                        ${hasPrepayment ? `<th class="px-3 py-2 text-right">${t('prepayment')}</th>` : ''}
+                        <th class="px-3 py-2 text-right">${t('balance')}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-zinc-700">${rows}</tbody>
+            </table>
+        </div>
+    `;
+};
+
+const renderDetailPrepayment = (prop) => {
+    const input = 'table-input text-sm';
+    const form = `
+        <div class="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end mb-4 text-sm text-gray-700 dark:text-zinc-300">
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('extraMonthly')} (k ${getCurrencySymbol(prop.currency)})</span>
+                <input type="number" step="1" min="0" id="plan-extra" class="${input}" value="${(prop.extraPayment || 0) / 1000}">
+            </label>
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('lumpSums')} (${t('lumpSumsFormat')}:M ${getCurrencySymbol(prop.currency)})</span>
+                <input type="text" id="plan-lumpsums" class="${input}" value="${formatLumpSums(prop.lumpSums)}" placeholder="3:2, 5:1.5">
+            </label>
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('useSavingsFor')}</span>
+                <select id="plan-strategy" class="${input} dark:bg-zinc-800">${optionsHTML(prepaymentStrategies, prop.prepaymentStrategy || 'term')}</select>
+            </label>
+            <button onclick="applyPrepaymentPlan(${prop.id})" class="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 transition-colors">${t('apply')}</button>
+        </div>
+    `;
+
+    if (!prop.mainLoanAmount) {
+        return form + `<p class="text-sm text-gray-500 dark:text-zinc-400">${t('noBankLoan')}</p>`;
+    }
+
+    const impact = calculatePrepaymentImpact(prop);
+    const percent = (value) => value === null ? '–' : formatPercent(value, 1);
+    const rows = [
+        [t('totalInterest'), formatMoney(impact.without.totalInterest, prop.currency), formatMoney(impact.with.totalInterest, prop.currency)],
+        [t('totalPrepaid'), formatMoney(0, prop.currency), formatMoney(impact.with.totalPrepaid, prop.currency)],
+        [t('paidOffAfter'), formatLoanDuration(impact.without.payoffMonths), formatLoanDuration(impact.with.payoffMonths)],
+        [t('monthlyPaymentInYear', { year: prop.saleYear }), formatMoney(impact.without.saleYearPayment, prop.currency), formatMoney(impact.with.saleYearPayment, prop.currency)],
+        [t('monthlyCashflowYear1'), formatMoney(impact.without.firstYearCashflow, prop.currency), formatMoney(impact.with.firstYearCashflow, prop.currency)],
+        [t('realisedReturnSaleInYear', { year: prop.saleYear }), percent(impact.without.roi), percent(impact.with.roi)],
+        [t('metricIrr'), percent(impact.without.irr), percent(impact.with.irr)]
+    ].map(([label, without, withPlan]) => `
+        <tr>
+            <td class="px-3 py-1.5 whitespace-nowrap">${label}</td>
+            <td class="px-3 py-1.5 text-right whitespace-nowrap">${without}</td>
+            <td class="px-3 py-1.5 text-right whitespace-nowrap font-medium text-gray-900 dark:text-zinc-100">${withPlan}</td>
+        </tr>
+    `).join('');
+
+    return `
+        ${form}
+        <p class="text-sm text-gray-600 dark:text-zinc-400 mb-4">
+            ${t('interestSaved')}: <span class="font-semibold text-green-600">${formatMoney(impact.interestSaved, prop.currency)}</span> ·
+            ${impact.monthsSaved > 0 ? t('paidOffEarlier', { duration: formatLoanDuration(impact.monthsSaved) }) : t('paidOffOnSchedule')}
+            ${t('prepaymentNote')}
+        </p>
+        <div class="results-table-container">
+            <table class="min-w-full text-sm text-gray-700 dark:text-zinc-300">
+                <thead class="bg-zinc-100 dark:bg-zinc-900 text-xs text-zinc-600 dark:text-zinc-400 uppercase">
+                    <tr>
+                        <th class="px-3 py-2 text-left"></th>
+                        <th class="px-3 py-2 text-right">${t('withoutPrepayment')}</th>
+                        <th class="px-3 py-2 text-right">${t('withPrepayment')}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-zinc-700">${rows}</tbody>
+            </table>
+        </div>
+    `;
+};
+
+window.applyPrepaymentPlan = (id) => {
+    const prop = properties.find(p => p.id === id);
+    if (!prop) return;
+
+    const extraPayment = (parseFloat(document.getElementById('plan-extra').value) || 0) * 1000;
+    const lumpSums = parseLumpSums(document.getElementById('plan-lumpsums').value);
+    const errors = validateProperty({ ...prop, extraPayment, lumpSums });
+    if (errors.length > 0) {
+        alert(errors.join('\n'));
+        return;
+    }
+
+    prop.extraPayment = extraPayment;
+    prop.lumpSums = lumpSums;
+    prop.prepaymentStrategy = document.getElementById('plan-strategy').value;
+    recalculateProperty(prop);
+    saveProperties();
+    updateUI();
+    renderPropertyDetail();
+};
+
+// Sensitivity view settings are shared by every property while the page is open
+const sensitivityOptions = { change: 10, years: 5, rowInput: 'rent', columnInput: 'rate', metric: 'cashflow' };
+let sensitivityChartInstance = null;
+
+const formatChange = (change) => `${change > 0 ? '+' : change < 0 ? '−' : '±'}${formatPercent(Math.abs(change))}`;
+
+// Cells better than the current assumptions turn green, worse ones red
+const heatColor = (value, base, maxDeviation) => {
+    if (maxDeviation === 0 || value === base) return 'transparent';
+    const alpha = (0.1 + 0.5 * Math.abs(value - base) / maxDeviation).toFixed(2);
+    return value > base ? `rgba(5, 150, 105, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+};
+
+const renderDetailSensitivity = (prop) => {
+    const { change, years, rowInput, columnInput, metric } = sensitivityOptions;
+    const input = 'table-input text-sm';
+    const inputOptions = (selected) => optionsHTML(sensitivityInputs.map(i => [i.key, i.label]), selected);
+    const metricOptions = optionsHTML(sensitivityMetrics, metric, m => t(m.label));
+
+    const rowSpec = sensitivityInputs.find(i => i.key === rowInput);
+    const columnSpec = sensitivityInputs.find(i => i.key === columnInput);
+    const grid = calculateSensitivityGrid(prop, rowInput, columnInput, change, metric, years);
+    const base = grid.values[2][2];
+    const maxDeviation = Math.max(...grid.values.flat().map(v => Math.abs(v - base)));
+    const format = sensitivityMetrics[metric].format;
+    const axisLabel = (spec, step) => `
+        <div>${formatChange(step)}</div>
+        <div class="text-xs font-normal normal-case text-gray-400 dark:text-zinc-500">${spec.describe(prop, 1 + step / 100)}</div>`;
+    const headerCells = grid.steps.map(step => `<th class="px-3 py-2 text-right">${axisLabel(columnSpec, step)}</th>`).join('');
+    const rows = grid.values.map((values, rowIndex) => `
+        <tr>
+            <th class="px-3 py-2 text-left text-xs text-zinc-600 dark:text-zinc-400 uppercase bg-zinc-100 dark:bg-zinc-900">${axisLabel(rowSpec, grid.steps[rowIndex])}</th>
+            ${values.map((value, columnIndex) => `
+            <td class="px-3 py-2 text-right whitespace-nowrap ${value < 0 ? 'text-red-600' : ''} ${rowIndex === 2 && columnIndex === 2 ? 'font-bold' : ''}"
+                style="background-color: ${heatColor(value, base, maxDeviation)}">${format(value, prop)}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    return `
+        <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end mb-4 text-sm text-gray-700 dark:text-zinc-300">
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('sensitivityChange')} (±%)</span>
+                <input type="number" step="1" min="1" class="${input}" value="${change}" onchange="setSensitivityOption('change', this.value)">
+            </label>
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('horizonYears')}</span>
+                <input type="number" step="1" min="1" class="${input}" value="${years}" onchange="setSensitivityOption('years', this.value)">
+            </label>
+        </div>
+        <h4 class="text-sm font-semibold text-gray-500 dark:text-zinc-500 uppercase tracking-wider mb-2">${t('tornadoTitle', { years })}</h4>
+        <p class="text-sm text-gray-500 dark:text-zinc-400 mb-2">${t('tornadoNote', { change: formatPercent(change), base: formatPercent(calculateProjectedROI(prop, years), 1) })}</p>
+        <div class="relative h-72 w-full mb-6">
+            <canvas id="sensitivityChart"></canvas>
+        </div>
+        <h4 class="text-sm font-semibold text-gray-500 dark:text-zinc-500 uppercase tracking-wider mb-2">${t('sensitivityGrid')}</h4>
+        <div class="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-3 text-sm text-gray-700 dark:text-zinc-300">
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('gridRows')}</span>
+                <select class="${input} dark:bg-zinc-800" onchange="setSensitivityOption('rowInput', this.value)">${inputOptions(rowInput)}</select>
+            </label>
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('columns')}</span>
+                <select class="${input} dark:bg-zinc-800" onchange="setSensitivityOption('columnInput', this.value)">${inputOptions(columnInput)}</select>
+            </label>
+            <label class="block">
+                <span class="text-xs text-gray-500 dark:text-zinc-400">${t('gridMetric')}</span>
+                <select class="${input} dark:bg-zinc-800" onchange="setSensitivityOption('metric', this.value)">${metricOptions}</select>
+            </label>
+        </div>
+        <div class="results-table-container">
+            <table class="min-w-full text-sm text-gray-700 dark:text-zinc-300">
+                <thead class="bg-zinc-100 dark:bg-zinc-900 text-xs text-zinc-600 dark:text-zinc-400 uppercase">
+                    <tr>
+                        <th class="px-3 py-2 text-left">${t(rowSpec.label)} ↓ / ${t(columnSpec.label)} →</th>
+                        ${headerCells}
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-zinc-700">${rows}</tbody>
+            </table>
+        </div>
+    `;
+};
+
+// Floating bars from the base ROI to the ROI with the input moved down or up
+const renderSensitivityChart = (prop) => {
+    const { change, years } = sensitivityOptions;
+    const tornado = calculateTornado(prop, years, change);
+    const tickColor = isDark() ? '#a1a1aa' : undefined;
+    const bars = (label, key, color) => ({
+        label,
+        data: tornado.rows.map(row => [tornado.base, row[key]]),
+        backgroundColor: color,
+        grouped: false
+    });
+
+    if (sensitivityChartInstance) sensitivityChartInstance.destroy();
+    sensitivityChartInstance = new Chart(document.getElementById('sensitivityChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: tornado.rows.map(row => t(row.label)),
+            datasets: [
+                bars(formatChange(-change), 'low', 'rgba(220, 38, 38, 0.7)'),
+                bars(formatChange(change), 'high', 'rgba(5, 150, 105, 0.7)')
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatPercent(context.raw[1], 1)}`;
+                        }
+                    }
+                },
+                legend: { position: 'top', labels: { color: tickColor } }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        color: tickColor,
+                        callback: function(value) {
+                            return formatPercent(value);
+                        }
+                    },
+                    grid: { color: isDark() ? '#3f3f46' : '#f3f4f6' }
+                },
+                y: { grid: { display: false }, ticks: { color: tickColor } }
+            }
+        }
+    });
+};
+
+window.setSensitivityOption = (key, value) => {
+    if (key === 'change' || key === 'years') {
+        // Invalid entries snap back to the previous value
+        const number = parseFloat(value);
+        if (number > 0) sensitivityOptions[key] = number;
     } else {
-        properties = sharedProperties.map(p => ({ ...p, _isShared: true }));
-        properties.forEach(p => recalculateProperty(p));
+        // Rows and columns always vary two different inputs
+        const other = key === 'rowInput' ? 'columnInput' : key === 'columnInput' ? 'rowInput' : null;
+        if (other && sensitivityOptions[other] === value) sensitivityOptions[other] = sensitivityOptions[key];
+        sensitivityOptions[key] = value;
     }
-    updateUI();
+    renderPropertyDetail();
 };
 
-function initApp() {
-    loadSettings();
-    loadPreferences();
-    applyPreferencesUI();
-
-    const shareParam = new URLSearchParams(window.location.search).get('s');
-    if (shareParam) {
-        const decoded = decodeShareData(shareParam);
-        if (decoded) {
-            isSharedView = true;
-            settings = { ...defaultSettings, ...decoded.settings };
-            settingTaxInput.value = settings.taxRate;
-            settingLawyerInput.value = settings.lawyerRate;
-            settingInflationInput.value = settings.inflation;
-            sharedProperties = decoded.properties.map(p => { p._isShared = true; return recalculateProperty(p); });
-            properties = sharedProperties.map(p => ({ ...p }));
-            document.getElementById('shared-banner').classList.remove('hidden');
-            updateUI();
-            return;
-        }
-    }
+// One column per scenario, the base inputs first. Empty fields keep the base value,
+// which is shown as the placeholder.
+const renderDetailScenarios = (view, prop) => {
+    const input = 'table-input text-sm w-20';
+    const locked = isSharedView ? 'disabled' : '';
+    const columns = [{ id: baseScenarioId, overrides: {} }, ...prop.scenarios];
+
+    const headerCells = columns.map(scenario => {
+        const isActive = prop.activeScenario === scenario.id;
+        const name = scenario.id === baseScenarioId
+            ? `<div class="py-0.5 uppercase">${t('baseScenario')}</div>`
+            : `<input type="text" class="${input} w-28 font-semibold" value="${escapeHTML(scenario.name)}" ${locked}
+                      onchange="renameScenario(${prop.id}, ${scenario.id}, this.value)">`;
+        return `
+            <th class="px-3 py-2 text-left align-top font-medium">
+                ${name}
+                <div class="flex items-center gap-2 mt-1 font-normal whitespace-nowrap">
+                    <label class="inline-flex items-center gap-1 cursor-pointer select-none">
+                        <input type="radio" name="active-scenario-${prop.id}" class="accent-indigo-600" ${isActive ? 'checked' : ''}
+                               onchange="setActiveScenario(${prop.id}, ${scenario.id})">
+                        ${t('activeScenario')}
+                    </label>
+                    <label class="inline-flex items-center gap-1 cursor-pointer select-none">
+                        <input type="checkbox" class="accent-indigo-600" ${isActive || prop.plottedScenarios.includes(scenario.id) ? 'checked' : ''} ${isActive ? 'disabled' : ''}
+                               onchange="toggleScenarioPlot(${prop.id}, ${scenario.id})">
+                        ${t('plotScenario')}
+                    </label>
+                    ${scenario.id !== baseScenarioId && !isSharedView ? `
+                    <button onclick="removeScenario(${prop.id}, ${scenario.id})" class="text-red-600 hover:text-red-900" title="${t('removeScenario')}">✕</button>` : ''}
+                </div>
+            </th>
+        `;
+    }).join('');
 
-    const storedData = localStorage.getItem('property_calculator_data');
-    if (storedData) {
-        try {
-            properties = JSON.parse(storedData);
-            properties.forEach(p => {
-                p.isEditing = false;
-                recalculateProperty(p);
-            });
-        } catch (e) {
-            console.error("Error parsing local storage", e);
-            properties = [];
-        }
-    } else {
-        properties = [];
-    }
+    const inputRows = scenarioFields.map(field => {
+        const baseValue = field.toInput(getScenarioBaseValue(prop, field));
+        const cells = columns.map(scenario => {
+            if (scenario.id === baseScenarioId) {
+                return `<td class="px-3 py-1.5 whitespace-nowrap">${formatNumber(baseValue)}</td>`;
+            }
+            const override = scenario.overrides[field.key];
+            return `
+                <td class="px-3 py-1.5">
+                    <input type="number" step="any" class="${input}" value="${override === undefined ? '' : field.toInput(override)}"
+                           placeholder="${Math.round(baseValue * 100) / 100}" ${locked}
+                           onchange="setScenarioOverride(${prop.id}, ${scenario.id}, '${field.key}', this.value)">
+                </td>`;
+        }).join('');
+        return `
+            <tr>
+                <td class="px-3 py-1.5 whitespace-nowrap">${t(field.label)} <span class="text-xs text-gray-400 dark:text-zinc-500">(${field.unit(prop)})</span></td>
+                ${cells}
+            </tr>
+        `;
+    }).join('');
+
+    const resultRows = [
+        [t('cashflow'), scenario => formatMoney(scenario.cashflow, scenario.currency)],
+        [t('roi5y'), scenario => formatPercent(calculateProjectedROI(scenario, 5), 1)],
+        [t('realisedReturnSaleInYear', { year: prop.saleYear }), scenario => formatPercent(calculateRealisedReturn(scenario).roi, 1)]
+    ].map(([label, format]) => `
+        <tr class="font-medium text-gray-900 dark:text-zinc-100 bg-gray-50 dark:bg-zinc-900/40">
+            <td class="px-3 py-1.5 whitespace-nowrap">${label}</td>
+            ${columns.map(scenario => `<td class="px-3 py-1.5 whitespace-nowrap">${format(getScenarioView(prop, scenario.id))}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    return `
+        <p class="text-sm text-gray-500 dark:text-zinc-400 mb-4">${t('scenariosNote')}</p>
+        <div class="results-table-container mb-3">
+            <table class="min-w-full text-sm text-gray-700 dark:text-zinc-300">
+                <thead class="bg-zinc-100 dark:bg-zinc-900 text-xs text-zinc-600 dark:text-zinc-400">
+                    <tr>
+                        <th class="px-3 py-2"></th>
+                        ${headerCells}
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-zinc-700">${inputRows}${resultRows}</tbody>
+            </table>
+        </div>
+        ${isSharedView ? '' : `<button onclick="addScenario(${prop.id})" class="text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-900">${t('addScenario')}</button>`}
+    `;
+};
 
+// Every scenario change recalculates the property, which also drops its cached scenario views
+const commitScenarioChange = (prop) => {
+    recalculateProperty(prop);
+    saveProperties();
     updateUI();
-}
+    renderPropertyDetail();
+};
 
-function updateUI() {
-    // Disable form in shared view
-    const formFieldset = form.querySelectorAll('input, button[type="submit"]');
-    formFieldset.forEach(el => {
-        el.disabled = isSharedView;
-        if (isSharedView) el.classList.add('opacity-50');
-        else el.classList.remove('opacity-50');
-    });
+const findScenario = (id, scenarioId) => {
+    const prop = properties.find(p => p.id === id);
+    const scenario = prop && prop.scenarios.find(s => s.id === scenarioId);
+    return scenario ? { prop, scenario } : null;
+};
 
-    const chartYearToggleWrapper = document.getElementById('chartYearToggleWrapper');
+window.addScenario = (id) => {
+    if (isSharedView) return;
+    const prop = properties.find(p => p.id === id);
+    if (!prop) return;
+    const scenarioId = Math.max(baseScenarioId, ...prop.scenarios.map(s => s.id)) + 1;
+    prop.scenarios.push({ id: scenarioId, name: t('scenarioNumber', { number: scenarioId }), overrides: {} });
+    commitScenarioChange(prop);
+};
 
-    if (properties.length === 0) {
-        emptyState.classList.remove('hidden');
-        resultsSection.classList.add('hidden');
-        chartsContainer.classList.add('hidden');
-        chartYearToggleWrapper.classList.add('hidden');
+window.renameScenario = (id, scenarioId, name) => {
+    const found = findScenario(id, scenarioId);
+    if (!found || isSharedView) return;
+    if (name.trim()) found.scenario.name = name.trim();
+    commitScenarioChange(found.prop);
+};
+
+window.setScenarioOverride = (id, scenarioId, key, value) => {
+    const found = findScenario(id, scenarioId);
+    if (!found || isSharedView) return;
+    const { prop, scenario } = found;
+    const field = scenarioFields.find(f => f.key === key);
+    const number = parseOptional(value);
+    const overrides = { ...scenario.overrides };
+    if (number === null) delete overrides[key];
+    else overrides[key] = field.fromInput(number);
+
+    const errors = validateProperty({ ...prop, ...overrides });
+    if (errors.length > 0) {
+        alert(errors.join('\n'));
+        renderPropertyDetail();
         return;
     }
+    scenario.overrides = overrides;
+    commitScenarioChange(prop);
+};
 
-    emptyState.classList.add('hidden');
-    resultsSection.classList.remove('hidden');
-    chartsContainer.classList.remove('hidden');
-    chartYearToggleWrapper.classList.remove('hidden');
+window.removeScenario = (id, scenarioId) => {
+    const found = findScenario(id, scenarioId);
+    if (!found || isSharedView) return;
+    const { prop } = found;
+    prop.scenarios = prop.scenarios.filter(s => s.id !== scenarioId);
+    prop.plottedScenarios = prop.plottedScenarios.filter(plotted => plotted !== scenarioId);
+    commitScenarioChange(prop);
+};
 
-    renderTable();
-    renderCharts();
-}
+// Switching and plotting scenarios also works on shared links, where nothing is saved
+window.setActiveScenario = (id, scenarioId) => {
+    const prop = properties.find(p => p.id === id);
+    if (!prop) return;
+    prop.activeScenario = scenarioId;
+    commitScenarioChange(prop);
+};
 
-function renderTable() {
-    tableBody.innerHTML = '';
-    properties.forEach(prop => {
-        const tr = document.createElement('tr');
-        if (prop._isShared) tr.classList.add('shared-row');
-        const cfClass = prop.cashflow >= 0 ? 'text-green-600 font-bold' : 'text-red-600 font-bold';
+window.toggleScenarioPlot = (id, scenarioId) => {
+    const prop = properties.find(p => p.id === id);
+    if (!prop) return;
+    prop.plottedScenarios = prop.plottedScenarios.includes(scenarioId)
+        ? prop.plottedScenarios.filter(plotted => plotted !== scenarioId)
+        : [...prop.plottedScenarios, scenarioId];
+    commitScenarioChange(prop);
+};
 
-        const priceM = (prop.price / 1000000).toFixed(1).replace(/\.0$/, '');
-        const rentK = prop.rent / 1000;
-        const renoM = (prop.renoCost / 1000000).toFixed(1).replace(/\.0$/, '');
-        const afterRenoM = ((prop.afterRenoValue || prop.price) / 1000000).toFixed(1).replace(/\.0$/, '');
-        const costsK = ((prop.monthlyCosts || 0) / 1000);
+const detailRenderers = {
+    overview: renderDetailOverview,
+    amortization: renderDetailAmortization,
+    prepayment: renderDetailPrepayment,
+    sensitivity: renderDetailSensitivity,
+    scenarios: renderDetailScenarios
+};
 
-        const downM = (prop.downPayment / 1000000).toFixed(1).replace(/\.0$/, '');
+// Tabs with charts draw them once their canvas is in the page
+const detailChartRenderers = {
+    sensitivity: renderSensitivityChart
+};
 
-        const roi5 = calculateProjectedROI(prop, 5);
+const renderPropertyDetail = () => {
+    const prop = properties.find(p => p.id === detailPropertyId);
+    if (!prop) return;
+    const view = getScenarioView(prop);
+
+    const tabButtons = detailTabs.map(tab => `
+        <button onclick="setDetailTab('${tab.key}')"
+                class="px-3 py-2 text-sm font-medium border-b-2 transition-colors ${tab.key === detailTab
+                    ? 'border-indigo-600 text-indigo-600 dark:text-indigo-400'
+                    : 'border-transparent text-gray-500 dark:text-zinc-400 hover:text-gray-700 dark:hover:text-zinc-200'}">${t(tab.label)}</button>
+    `).join('');
+
+    detailContent.innerHTML = `
+        <h3 class="text-xl font-bold text-gray-900 dark:text-zinc-100 mb-2">
+            ${escapeHTML(prop.name)}
+            ${prop.scenarios.length > 0 ? `<span class="ml-2 text-sm font-medium text-indigo-600 dark:text-indigo-400">${escapeHTML(getScenarioName(prop, prop.activeScenario))}</span>` : ''}
+        </h3>
+        <div class="flex gap-2 border-b border-gray-200 dark:border-zinc-700 mb-4">${tabButtons}</div>
+        ${detailRenderers[detailTab](view, prop)}
+    `;
+    if (detailChartRenderers[detailTab]) detailChartRenderers[detailTab](view);
+};
 
-        const roi5Class = roi5 >= 0 ? 'text-green-600' : 'text-red-600';
+window.openPropertyDetail = (id, tab = 'overview') => {
+    if (!properties.some(p => p.id === id)) return;
+    detailPropertyId = id;
+    detailTab = tab;
+    renderPropertyDetail();
+    detailModal.classList.remove('hidden');
+};
 
-        const safeName = escapeHTML(prop.name);
+window.setDetailTab = (tab) => {
+    detailTab = tab;
+    renderPropertyDetail();
+};
 
-        const commonCells = `
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
-                <div class="cursor-help border-b border-dotted border-gray-400 dark:border-zinc-500 inline-block pb-0.5"
-                     onmouseenter="showBreakdownTooltip(event, ${prop.id})"
-                     onmouseleave="hideBreakdownTooltip()"
-                     onclick="showBreakdownTooltip(event, ${prop.id})">
-                    <div id="ic-text-${prop.id}" class="font-medium text-gray-900 dark:text-zinc-100">${formatCompact(prop.totalInvested)}</div>
-                    <div class="text-xs text-gray-400 dark:text-zinc-500 mt-0.5">(${prop.downPaymentPercent}% + Fees)</div>
-                </div>
-                ${prop.isEditing ? `
-                    <div class="mt-2 space-y-1 border-t pt-1 border-gray-200 dark:border-zinc-700">
-                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
-                            <input type="number" step="0.01" id="input-down-${prop.id}" class="table-input w-10 text-xs"
-                                   value="${prop.downPaymentPercent}"
-                                   oninput="syncTableDown(${prop.id}, 'percent')">
-                            <span class="ml-1">%</span>
-                        </div>
-                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
-                            <input type="number" step="0.1" id="input-down-value-${prop.id}" class="table-input w-14 text-xs"
-                                   value="${downM}"
-                                   oninput="syncTableDown(${prop.id}, 'value')">
-                            <span class="ml-1">M Ft</span>
-                        </div>
-                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
-                            <input type="number" step="0.1" id="input-reno-${prop.id}" class="table-input w-10 text-xs"
-                                   value="${renoM}">
-                            <span class="ml-1">M Reno</span>
-                        </div>
-                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
-                            <input type="number" step="0.1" id="input-afterreno-${prop.id}" class="table-input w-14 text-xs"
-                                   value="${afterRenoM}" placeholder="${priceM}">
-                            <span class="ml-1">M Val</span>
-                        </div>
-                        <div class="text-xs text-gray-400 dark:text-zinc-500 flex items-center">
-                            <input type="number" step="1" id="input-costs-${prop.id}" class="table-input w-14 text-xs"
-                                   value="${costsK}">
-                            <span class="ml-1">k Cost</span>
-                        </div>
-                    </div>
-                ` : ''}
-            </td>
-        `;
+window.closePropertyDetail = () => {
+    detailModal.classList.add('hidden');
+    detailPropertyId = null;
+};
 
-        if (prop.isEditing) {
-            tr.innerHTML = `
-                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-zinc-100">
-                    <input type="text" id="input-name-${prop.id}" class="table-input font-bold"
-                           value="${safeName}">
-                </td>
-                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
-                    <div class="flex items-center">
-                        <input type="number" step="0.1" id="input-price-${prop.id}" class="table-input w-16"
-                               value="${priceM}">
-                        <span class="ml-1 text-xs">M</span>
-                    </div>
-                </td>
-                ${commonCells}
-                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
-                    <div class="flex items-center">
-                        <input type="number" step="0.01" id="input-rate-${prop.id}" class="table-input w-14"
-                               value="${prop.rate}">
-                        <span class="ml-1 text-xs">%</span>
-                    </div>
-                </td>
-                <td id="mortgage-${prop.id}" class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">${formatHUF(prop.monthlyPayment)}</td>
-                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">
-                    <div class="flex items-center">
-                        <input type="number" id="input-rent-${prop.id}" class="table-input w-16"
-                               value="${rentK}">
-                        <span class="ml-1 text-xs">k</span>
-                    </div>
-                </td>
-                <td id="cashflow-${prop.id}" class="px-6 py-4 whitespace-nowrap text-sm ${cfClass}">${formatHUF(prop.cashflow)}</td>
-                <td id="roi5-${prop.id}" class="px-6 py-4 whitespace-nowrap text-sm font-medium ${roi5Class}">${roi5.toFixed(1)}%</td>
-                <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                    <button onclick="toggleEdit(${prop.id})" class="text-indigo-600 dark:text-indigo-400 hover:text-indigo-900 font-bold">Save</button>
-                </td>
-            `;
-        } else {
-            tr.innerHTML = `
-                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-zinc-100">${safeName}</td>
-                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">${formatCompact(prop.price)}</td>
-                ${commonCells}
-                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">${prop.rate}%</td>
-                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">${formatHUF(prop.monthlyPayment)}</td>
-                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-zinc-400">${formatHUF(prop.rent)}</td>
-                <td class="px-6 py-4 whitespace-nowrap text-sm ${cfClass}">${formatHUF(prop.cashflow)}</td>
-                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium ${roi5Class}">${roi5.toFixed(1)}%</td>
-                <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                    ${isSharedView ? '' : `
-                    <button onclick="toggleEdit(${prop.id})" class="text-indigo-600 dark:text-indigo-400 hover:text-indigo-900 hover:underline">Edit</button>
-                    <button onclick="removeProperty(${prop.id})" class="text-red-600 hover:text-red-900 hover:underline">Remove</button>
-                    `}
-                </td>
-            `;
-        }
+window.exportAmortizationCSV = (id) => {
+    const prop = getDisplayedProperty(id);
+    if (!prop) return;
 
-        tableBody.appendChild(tr);
+    const round = (num) => Math.round(num);
+    const csvText = (text) => `"${String(text).replace(/"/g, '""')}"`;
+    const header = ['loan', 'month', 'year', 'rate', 'payment', 'interest', 'principal', 'prepayment', 'balance'];
+    const lines = [header.map(key => csvText(t(key))).join(',')];
+    const addRows = (label, schedule) => schedule.forEach(row => {
+        lines.push([csvText(label), row.month, row.year, row.rate, round(row.payment), round(row.interest), round(row.principal), round(row.prepayment), round(row.balance)].join(','));
     });
-}
+    const { tranches, schedule } = getLoanSchedule(prop);
+    tranches.forEach(({ loan, schedule: trancheSchedule }) => addRows(loan.name, trancheSchedule));
+    // With several loans the combined schedule follows the individual ones
+    if (tranches.length > 1) addRows(t('total'), schedule);
+    const fileName = prop.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'property';
+    downloadFile(lines.join('\n'), `${fileName}-amortization.csv`, 'text/csv');
+};
 
 const chartColors = [
     { border: '#4F46E5', bg: 'rgba(79, 70, 229, 0.1)' },
@@ -998,22 +4276,234 @@ const chartColors = [
     { border: '#7C3AED', bg: 'rgba(124, 58, 237, 0.1)' }
 ];
 
+// Equity on the selected chart basis: paper equity, or what selling would leave
+const calculateChartEquity = (prop, year) => {
+    if (preferences.chartBasis !== 'sale') return getProjectedValue(prop, year) - getLoanBalance(prop, year);
+    const sale = calculateSaleProceeds(prop, year);
+    return preferences.afterTax ? sale.netProceeds : sale.preTaxProceeds;
+};
+
+const renderPortfolioSummary = (portfolio, funding) => {
+    const card = document.getElementById('portfolio-summary');
+    card.classList.toggle('hidden', !preferences.portfolio);
+    if (!preferences.portfolio) return;
+
+    const heading = `
+        <div class="flex items-baseline justify-between mb-3">
+            <h3 class="text-lg font-medium leading-6 text-gray-900 dark:text-zinc-100">${t('portfolio')}</h3>
+            <span class="text-sm text-gray-500 dark:text-zinc-400">${t('portfolioCount', { count: portfolio.length, total: properties.length })}</span>
+        </div>`;
+    if (portfolio.length === 0) {
+        card.innerHTML = heading + `<p class="text-sm text-gray-500 dark:text-zinc-400">${t('portfolioEmpty')}</p>`;
+        return;
+    }
+
+    const display = getDisplayCurrency();
+    const summary = calculatePortfolioSummary(portfolio, funding);
+    const horizon = calculatePortfolioReturn(portfolio, preferences.chartYears, chartProjectionOptions(), funding);
+    const ratio = (value, format) => value === null || !isFinite(value) ? '–' : format(value);
+    const cards = [
+        { label: t('initialCash'), value: formatCompact(summary.invested, display) },
+        { label: t('debt'), value: formatCompact(summary.debt, display) },
+        { label: t('equity'), value: formatCompact(summary.equity, display) },
+        { label: t('monthlyCashflowYear1'), value: formatMoney(summary.monthlyCashflow, display) },
+        { label: t('profitInYear', { year: calendarYear(preferences.chartYears) }), value: `${formatCompact(horizon.profit, display)} (${formatPercent(horizon.roi, 1)})` },
+        { label: t('ltv'), value: ratio(summary.ltv, v => formatPercent(v, 1)) },
+        { label: t('metricDscr'), value: ratio(summary.dscr, v => formatNumber(v, 2)) },
+        { label: t('metricCashOnCash'), value: ratio(summary.cashOnCash, v => formatPercent(v, 1)) },
+        ...(settings.reinvestCashflow ? [{ label: t('reinvestedCashflow'), value: formatCompact(summary.reinvested, display) }] : [])
+    ].map(item => `
+        <div class="bg-gray-50 dark:bg-zinc-900 rounded-md p-3">
+            <div class="text-xs text-gray-500 dark:text-zinc-400">${item.label}</div>
+            <div class="text-lg font-semibold text-gray-900 dark:text-zinc-100">${item.value}</div>
+        </div>
+    `).join('');
+
+    card.innerHTML = `
+        ${heading}
+        <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-2">${cards}</div>
+        <p class="text-xs text-gray-500 dark:text-zinc-400">${t('portfolioNote')}${chartBasisNote()}</p>
+    `;
+};
+
+// Thick neutral line for the portfolio total, drawn on top of the properties
+const portfolioDataset = (data) => ({
+    label: t('portfolio'),
+    data,
+    borderColor: isDark() ? '#e4e4e7' : '#111827',
+    borderWidth: 3,
+    pointRadius: 0,
+    pointHoverRadius: 5,
+    fill: false,
+    tension: 0.4,
+    order: -1
+});
+
+// --- Monte Carlo Simulation ---
+// Paths run in simulation.js, in a Web Worker when the browser allows one (pages opened from
+// file:// usually do not) and on the page otherwise. Results are kept for the inputs they were
+// computed from; any change to a property, the settings or the simulation panel starts a new run.
+let simulationWorker;
+let simulationJobId = 0;
+let pendingSimulation = null;
+let simulationResult = null;
+
+const simulationVariable = (mean, fallback, volatility) => ({ mean: resolveRate(mean, fallback), volatility });
+
+// Everything the worker needs for one property, resolved in property currency. Only the main
+// bank loan floats; extra tranches are repaid as scheduled on every path.
+const buildSimulationModel = (prop, years) => {
+    const params = preferences.simulationParams;
+    const growth = getGrowthRates(prop);
+    const [mainLoan, ...extraLoans] = getLoanTranches(prop);
+    // A refinance replaces the bank loan, so refinanced debt follows its planned schedule on
+    // every path, cash-out included
+    const refinanced = getLoanSchedule(prop).refinances.length > 0;
+    const extras = refinanced
+        ? [getLoanSchedule(prop).yearly]
+        : extraLoans
+            .filter(loan => loan.amount > 0)
+            .map(loan => summarizeScheduleByYear(buildAmortizationSchedule(loan)));
+    const sumExtras = (year, pick) => extras.reduce((sum, yearly) => sum + (yearly[year - 1] ? pick(yearly[year - 1]) : 0), 0);
+    const yearList = Array.from({ length: years }, (_, i) => i + 1);
+    const hasLoan = !refinanced && mainLoan.amount > 0;
+    const floats = hasLoan && mainLoan.fixedYears !== null && mainLoan.fixedYears !== undefined && mainLoan.fixedYears < mainLoan.term;
+
+    return {
+        // Both values appreciate alike; the renovated one applies from completion
+        value: prop.afterRenoValue || prop.price,
+        valueBeforeReno: prop.price,
+        renoMonths: prop.renoMonths || 0,
+        rentShare: yearList.map(year => getRentedShare(prop, year)),
+        loanAmount: prop.loanAmount,
+        invested: prop.totalInvested,
+        rent: prop.monthlyIncome,
+        badDebt: getIncomeLossRates(prop).badDebt,
+        // Percentage cost items follow the planned value and rent, not the simulated ones
+        costs: buildCashflowSeries(prop, years).map(row => row.operatingCosts),
+        otherDebtService: yearList.map(year => sumExtras(year, row => row.payment + row.prepayment) - getRefinanceCash(prop, year)),
+        otherBalance: yearList.map(year => sumExtras(year, row => row.balance)),
+        loan: hasLoan ? mainLoan : null,
+        fx: hasLoan && mainLoan.currency ? Array.from({ length: mainLoan.term * 12 }, (_, i) => getLoanFxRate(prop, i + 1)) : null,
+        // One random rate per loan year after the fixed period, centred on the scheduled rate
+        rates: floats
+            ? Array.from({ length: mainLoan.term - mainLoan.fixedYears }, (_, i) =>
+                simulationVariable(params.rateMean, getRateForMonth(mainLoan, (mainLoan.fixedYears + i + 1) * 12), params.rateVolatility))
+            : null,
+        appreciation: simulationVariable(params.appreciationMean, growth.appreciation * 100, params.appreciationVolatility),
+        rentGrowth: simulationVariable(params.rentGrowthMean, growth.rentGrowth * 100, params.rentGrowthVolatility),
+        vacancy: simulationVariable(params.vacancyMean, getIncomeLossRates(prop).vacancy, params.vacancyVolatility),
+        cpi: preferences.realValues ? settings.cpi : 0,
+        benchmarkRate: getBenchmarkRate()
+    };
+};
+
+const receiveSimulation = (result) => {
+    // A newer run has been requested since this one started
+    if (result.id !== simulationJobId) return;
+    pendingSimulation = null;
+    simulationResult = result;
+    if (properties.length > 0) renderCharts();
+};
+
+const runSimulationOnPage = (job) => setTimeout(() => receiveSimulation(runSimulation(job)), 0);
+
+const getSimulationWorker = () => {
+    if (simulationWorker !== undefined) return simulationWorker;
+    try {
+        simulationWorker = typeof Worker === 'function' ? new Worker('simulation.js') : null;
+    } catch (e) {
+        simulationWorker = null;
+    }
+    if (simulationWorker) {
+        simulationWorker.onmessage = (e) => receiveSimulation(e.data);
+        simulationWorker.onerror = () => {
+            simulationWorker.terminate();
+            simulationWorker = null;
+            if (pendingSimulation) runSimulationOnPage(pendingSimulation);
+        };
+    }
+    return simulationWorker;
+};
+
+// Bands for the plotted series as they are now, or null while they are still being simulated
+const getSimulationResults = (series) => {
+    if (!preferences.simulation || series.length === 0) return null;
+    const { paths, seed } = preferences.simulationParams;
+    const params = { paths, seed, years: preferences.chartYears };
+    const models = series.map(({ prop }) => buildSimulationModel(prop, params.years));
+    const key = JSON.stringify({ models, params });
+    if (simulationResult && simulationResult.key === key) return simulationResult.results;
+
+    if (!pendingSimulation || pendingSimulation.key !== key) {
+        pendingSimulation = { id: ++simulationJobId, key, models, params };
+        const worker = getSimulationWorker();
+        if (worker) worker.postMessage(pendingSimulation);
+        else runSimulationOnPage(pendingSimulation);
+    }
+    return null;
+};
+
+const renderSimulationSummary = (series, results) => {
+    const panel = document.getElementById('simulation-panel');
+    panel.classList.toggle('hidden', !preferences.simulation);
+    if (!preferences.simulation) return;
+
+    const summary = document.getElementById('simulationSummary');
+    if (!results) {
+        summary.innerHTML = `<p class="text-gray-500 dark:text-zinc-400">${t('simulationRunning')}</p>`;
+        return;
+    }
+    const lines = series.map(({ label }, index) => {
+        const style = chartColors[index % chartColors.length];
+        const chance = t('belowBenchmarkChance', {
+            chance: formatPercent(results[index].belowBenchmark * 100, 0),
+            benchmark: formatPercent(getBenchmarkRate()),
+            years: preferences.chartYears
+        });
+        return `<p><span class="font-medium" style="color: ${style.border}">${escapeHTML(label)}</span>: ${chance}</p>`;
+    });
+    if (preferences.chartBasis !== 'equity' || preferences.afterTax) {
+        lines.push(`<p class="text-xs text-amber-600 dark:text-amber-400">${t('simulationBasisHint')}</p>`);
+    }
+    summary.innerHTML = lines.join('');
+};
+
+// P90 and P10 lines with the area between them filled, plus a dashed median
+const simulationBandDatasets = (prop, label, index, bands, toChart = (value) => value) => {
+    const style = chartColors[index % chartColors.length];
+    const line = (percentile) => bands.map((_, year) => onTimeline(prop, year, ownYear => toChart(bands[ownYear][percentile])));
+    const base = { borderColor: style.border, pointRadius: 0, pointHoverRadius: 0, tension: 0.4, simulationBand: true };
+    return [
+        { ...base, label: `${label} P90`, data: line('p90'), borderWidth: 0, fill: false },
+        { ...base, label: `${label} P10`, data: line('p10'), borderWidth: 0, backgroundColor: style.bg, fill: '-1' },
+        { ...base, label: `${label} P50`, data: line('p50'), borderWidth: 1.5, borderDash: [4, 4], fill: false }
+    ];
+};
+
+// Band datasets stay out of the legend
+const legendWithoutBands = (item, data) => !data.datasets[item.datasetIndex].simulationBand;
+
 function renderCharts() {
     const years = preferences.chartYears;
-    const labels = Array.from({length: years + 1}, (_, i) => `Year ${i}`);
+    const labels = Array.from({length: years + 1}, (_, i) => String(calendarYear(i)));
     const gridColor = isDark() ? '#3f3f46' : '#f3f4f6';
     const tickColor = isDark() ? '#a1a1aa' : undefined;
-
-    const valueDatasets = properties.map((prop, index) => {
+    const display = getDisplayCurrency();
+    const series = getChartSeries();
+    const portfolio = preferences.portfolio ? getPortfolioProperties() : [];
+    const funding = buildFundingPlan(portfolio);
+    const yearRange = Array.from({ length: years + 1 }, (_, i) => i);
+    renderPortfolioSummary(portfolio, funding);
+
+    const valueDatasets = series.map(({ prop, label }, index) => {
         const data = [];
-        let currentValue = prop.afterRenoValue || prop.price;
         for (let i = 0; i <= years; i++) {
-            data.push(currentValue);
-            currentValue = currentValue * (1 + (settings.inflation / 100));
+            data.push(onTimeline(prop, i, ownYear => toChartBasis(getProjectedValue(prop, ownYear), i, prop.currency)));
         }
         const style = chartColors[index % chartColors.length];
         return {
-            label: prop.name,
+            label: label,
             data: data,
             borderColor: style.border,
             backgroundColor: style.bg,
@@ -1025,15 +4515,20 @@ function renderCharts() {
         };
     });
 
+    if (portfolio.length > 0) {
+        valueDatasets.push(portfolioDataset(yearRange.map(i =>
+            toChartBasis(sumPortfolio(portfolio, i, getProjectedValue), i, display))));
+    }
+
     // Deduplicated: use calculateProjectedROI instead of inline logic
-    const roiDatasets = properties.map((prop, index) => {
+    const roiDatasets = series.map(({ prop, label }, index) => {
         const data = [];
         for (let i = 0; i <= years; i++) {
-            data.push(calculateProjectedROI(prop, i));
+            data.push(onTimeline(prop, i, ownYear => calculateProjectedROI(prop, ownYear, chartProjectionOptions())));
         }
         const style = chartColors[index % chartColors.length];
         return {
-            label: prop.name,
+            label: label,
             data: data,
             borderColor: style.border,
             backgroundColor: style.bg,
@@ -1045,14 +4540,26 @@ function renderCharts() {
         };
     });
 
+    if (portfolio.length > 0) {
+        roiDatasets.push(portfolioDataset(yearRange.map(i => calculatePortfolioReturn(portfolio, i, chartProjectionOptions(), funding).roi)));
+    }
+
+    // Simulated bands are pre-tax paper equity, so they only sit alongside that basis
+    const simulation = getSimulationResults(series);
+    renderSimulationSummary(series, simulation);
+    const showBands = simulation && preferences.chartBasis === 'equity' && !preferences.afterTax;
+    if (showBands) {
+        series.forEach(({ prop, label }, index) => roiDatasets.push(...simulationBandDatasets(prop, label, index, simulation[index].roi)));
+    }
+
     const benchmarkRate = (parseFloat(benchmarkRateInput.value) || 0) / 100;
     const bondData = [];
     for (let i = 0; i <= years; i++) {
-        const bondRoi = (Math.pow(1 + benchmarkRate, i) - 1) * 100;
+        const bondRoi = (deflateForChart(Math.pow(1 + benchmarkRate, i), i) - 1) * 100;
         bondData.push(bondRoi);
     }
     roiDatasets.push({
-        label: `Benchmark (${benchmarkRateInput.value}%)`,
+        label: `${t('benchmark')} (${formatPercent(getBenchmarkRate())})`,
         data: bondData,
         borderColor: '#4b5563',
         borderDash: [5, 5],
@@ -1080,7 +4587,7 @@ function renderCharts() {
                             let label = context.dataset.label || '';
                             if (label) label += ': ';
                             if (context.parsed.y !== null) {
-                                label += new Intl.NumberFormat('hu-HU', { style: 'currency', currency: 'HUF', maximumFractionDigits: 0 }).format(context.parsed.y);
+                                label += formatMoney(context.parsed.y, display) + chartBasisNote();
                             }
                             return label;
                         }
@@ -1095,7 +4602,7 @@ function renderCharts() {
                     ticks: {
                         color: tickColor,
                         callback: function(value) {
-                            return new Intl.NumberFormat('hu-HU', { notation: "compact", compactDisplay: "short" }).format(value) + ' Ft';
+                            return formatCompact(value, display);
                         }
                     },
                     grid: { color: gridColor }
@@ -1120,13 +4627,13 @@ function renderCharts() {
                             let label = context.dataset.label || '';
                             if (label) label += ': ';
                             if (context.parsed.y !== null) {
-                                label += context.parsed.y.toFixed(1) + '%';
+                                label += formatPercent(context.parsed.y, 1) + chartBasisNote();
                             }
                             return label;
                         }
                     }
                 },
-                legend: { position: 'top', labels: { color: tickColor } }
+                legend: { position: 'top', labels: { color: tickColor, filter: legendWithoutBands } }
             },
             scales: {
                 x: { grid: { display: false }, ticks: { color: tickColor } },
@@ -1134,7 +4641,7 @@ function renderCharts() {
                     ticks: {
                         color: tickColor,
                         callback: function(value) {
-                            return value + '%';
+                            return formatPercent(value);
                         }
                     },
                     grid: { color: gridColor }
@@ -1144,14 +4651,16 @@ function renderCharts() {
     });
 
     // ROI Value Chart (absolute HUF)
-    const roiValueDatasets = properties.map((prop, index) => {
+    const roiValueDatasets = series.map(({ prop, label }, index) => {
         const data = [];
         for (let i = 0; i <= years; i++) {
-            data.push(calculateProjectedProfit(prop, i));
+            data.push(onTimeline(prop, i, ownYear => convertCurrency(
+                fromPurchase(prop, calculateProjectedProfit(prop, ownYear, chartProjectionOptions()), chartProjectionOptions()),
+                prop.currency, display)));
         }
         const style = chartColors[index % chartColors.length];
         return {
-            label: prop.name,
+            label: label,
             data: data,
             borderColor: style.border,
             backgroundColor: style.bg,
@@ -1163,13 +4672,17 @@ function renderCharts() {
         };
     });
 
+    if (portfolio.length > 0) {
+        roiValueDatasets.push(portfolioDataset(yearRange.map(i => calculatePortfolioReturn(portfolio, i, chartProjectionOptions(), funding).profit)));
+    }
+
     const bondValueData = [];
     for (let i = 0; i <= years; i++) {
-        const avgInvested = properties.reduce((sum, p) => sum + p.totalInvested, 0) / properties.length;
-        bondValueData.push(avgInvested * (Math.pow(1 + benchmarkRate, i) - 1));
+        const avgInvested = series.reduce((sum, { prop }) => sum + convertCurrency(prop.totalInvested, prop.currency, display), 0) / series.length;
+        bondValueData.push(avgInvested * (deflateForChart(Math.pow(1 + benchmarkRate, i), i) - 1));
     }
     roiValueDatasets.push({
-        label: `Benchmark (${benchmarkRateInput.value}%)`,
+        label: `${t('benchmark')} (${formatPercent(getBenchmarkRate())})`,
         data: bondValueData,
         borderColor: '#4b5563',
         borderDash: [5, 5],
@@ -1197,7 +4710,7 @@ function renderCharts() {
                             let label = context.dataset.label || '';
                             if (label) label += ': ';
                             if (context.parsed.y !== null) {
-                                label += new Intl.NumberFormat('hu-HU', { style: 'currency', currency: 'HUF', maximumFractionDigits: 0 }).format(context.parsed.y);
+                                label += formatMoney(context.parsed.y, display) + chartBasisNote();
                             }
                             return label;
                         }
@@ -1211,7 +4724,7 @@ function renderCharts() {
                     ticks: {
                         color: tickColor,
                         callback: function(value) {
-                            return new Intl.NumberFormat('hu-HU', { notation: "compact", compactDisplay: "short" }).format(value) + ' Ft';
+                            return formatCompact(value, display);
                         }
                     },
                     grid: { color: gridColor }
@@ -1221,17 +4734,14 @@ function renderCharts() {
     });
 
     // Equity Chart (Property Value - Remaining Loan)
-    const equityDatasets = properties.map((prop, index) => {
+    const equityDatasets = series.map(({ prop, label }, index) => {
         const data = [];
-        let currentValue = prop.afterRenoValue || prop.price;
         for (let i = 0; i <= years; i++) {
-            const remainingLoan = getRemainingBalance(prop.loanAmount, prop.rate, prop.term, i);
-            data.push(currentValue - remainingLoan);
-            currentValue = currentValue * (1 + (settings.inflation / 100));
+            data.push(onTimeline(prop, i, ownYear => toChartBasis(calculateChartEquity(prop, ownYear), i, prop.currency)));
         }
         const style = chartColors[index % chartColors.length];
         return {
-            label: prop.name,
+            label: label,
             data: data,
             borderColor: style.border,
             backgroundColor: style.bg,
@@ -1243,6 +4753,16 @@ function renderCharts() {
         };
     });
 
+    if (portfolio.length > 0) {
+        equityDatasets.push(portfolioDataset(yearRange.map(i =>
+            toChartBasis(sumPortfolio(portfolio, i, calculateChartEquity), i, display))));
+    }
+
+    if (showBands) {
+        series.forEach(({ prop, label }, index) => equityDatasets.push(...simulationBandDatasets(prop, label, index, simulation[index].equity,
+            value => convertCurrency(fromPurchase(prop, value, chartProjectionOptions()), prop.currency, display))));
+    }
+
     const ctxEquity = document.getElementById('equityChart').getContext('2d');
     if (equityChartInstance) equityChartInstance.destroy();
     equityChartInstance = new Chart(ctxEquity, {
@@ -1259,13 +4779,13 @@ function renderCharts() {
                             let label = context.dataset.label || '';
                             if (label) label += ': ';
                             if (context.parsed.y !== null) {
-                                label += new Intl.NumberFormat('hu-HU', { style: 'currency', currency: 'HUF', maximumFractionDigits: 0 }).format(context.parsed.y);
+                                label += formatMoney(context.parsed.y, display) + chartBasisNote();
                             }
                             return label;
                         }
                     }
                 },
-                legend: { position: 'top', labels: { color: tickColor } }
+                legend: { position: 'top', labels: { color: tickColor, filter: legendWithoutBands } }
             },
             scales: {
                 x: { grid: { display: false }, ticks: { color: tickColor } },
@@ -1274,7 +4794,7 @@ function renderCharts() {
                     ticks: {
                         color: tickColor,
                         callback: function(value) {
-                            return new Intl.NumberFormat('hu-HU', { notation: "compact", compactDisplay: "short" }).format(value) + ' Ft';
+                            return formatCompact(value, display);
                         }
                     },
                     grid: { color: gridColor }
@@ -0,0 +1,112 @@
+// --- Loan Math ---
+// Pure amortization helpers shared by the page (app.js) and the simulation worker
+// (simulation.js, which loads this file with importScripts). No DOM or app state here.
+
+const calculateMortgage = (principal, annualRate, years) => {
+    if (principal <= 0) return 0;
+    const monthlyRate = annualRate / 100 / 12;
+    const numberOfPayments = years * 12;
+
+    if (monthlyRate === 0) return principal / numberOfPayments;
+
+    const x = Math.pow(1 + monthlyRate, numberOfPayments);
+    const monthlyPayment = principal * ((monthlyRate * x) / (x - 1));
+    return monthlyPayment;
+};
+
+// Inverse of calculateMortgage: months needed to repay `principal` with a fixed monthly payment
+const calculatePayoffMonths = (principal, annualRate, payment) => {
+    if (principal <= 0) return 0;
+    const monthlyRate = annualRate / 100 / 12;
+    if (monthlyRate === 0) return Math.ceil(principal / payment);
+    if (payment <= principal * monthlyRate) return Infinity;
+    return Math.ceil(-Math.log(1 - (monthlyRate * principal) / payment) / Math.log(1 + monthlyRate));
+};
+
+// Rate in force for a given loan month (1-based). Without a fixed period the initial rate
+// holds for the whole term (validation rejects rate steps for such a loan); after the fixed
+// period the rate shock applies, and any rate step whose year has passed overrides it.
+const getRateForMonth = (loan, month) => {
+    if (loan.fixedYears === null || loan.fixedYears === undefined) return loan.rate;
+    if (month <= loan.fixedYears * 12) return loan.rate;
+
+    let rate = loan.rate + (loan.rateShock || 0);
+    (loan.rateSteps || []).forEach(step => {
+        if (month > step.year * 12) rate = step.rate;
+    });
+    return rate;
+};
+
+// Month-by-month schedule of one loan tranche: payment, interest, principal, prepayment and
+// remaining balance. During the grace period only interest is paid; afterwards the payment is
+// recalculated on the outstanding balance whenever the rate resets. Extra principal is paid on
+// top of the regular payment; with the 'payment' strategy the payment is recalculated after
+// every prepayment, otherwise the payment is kept and the loan ends early.
+const buildAmortizationSchedule = (loan) => {
+    const schedule = [];
+    const totalMonths = loan.term * 12;
+    const graceMonths = Math.min(loan.graceMonths || 0, totalMonths);
+    const lowerPayment = loan.prepaymentStrategy === 'payment';
+    let balance = loan.amount;
+    let currentRate = null;
+    let payment = 0;
+    let prepaid = false;
+    let reprice = false;
+
+    for (let month = 1; month <= totalMonths && balance > 0.005; month++) {
+        const rate = getRateForMonth(loan, month);
+        const inGrace = month <= graceMonths;
+        if (!inGrace && (rate !== currentRate || month === graceMonths + 1 || reprice)) {
+            // A shortened loan keeps its earlier end date when the rate resets
+            const remainingMonths = prepaid && !lowerPayment && currentRate !== null
+                ? Math.min(totalMonths - month + 1, calculatePayoffMonths(balance, currentRate, payment))
+                : totalMonths - month + 1;
+            payment = calculateMortgage(balance, rate, remainingMonths / 12);
+            currentRate = rate;
+            reprice = false;
+        }
+        const interest = balance * (rate / 100 / 12);
+        const principal = inGrace ? 0 : Math.min(payment - interest, balance);
+        balance -= principal;
+
+        const lumpSum = (loan.lumpSums || [])
+            .filter(l => l.year * 12 === month)
+            .reduce((sum, l) => sum + l.amount, 0);
+        const prepayment = Math.min((loan.extraPayment || 0) + lumpSum, balance);
+        if (prepayment > 0) {
+            balance -= prepayment;
+            prepaid = true;
+            reprice = lowerPayment;
+        }
+
+        schedule.push({
+            month,
+            year: Math.ceil(month / 12),
+            rate,
+            payment: interest + principal,
+            interest,
+            principal,
+            prepayment,
+            balance: Math.max(0, balance)
+        });
+    }
+    return schedule;
+};
+
+// Yearly subtotals of an amortization schedule
+const summarizeScheduleByYear = (schedule) => {
+    const years = [];
+    schedule.forEach(row => {
+        let summary = years[row.year - 1];
+        if (!summary) {
+            summary = { year: row.year, payment: 0, interest: 0, principal: 0, prepayment: 0, balance: 0 };
+            years[row.year - 1] = summary;
+        }
+        summary.payment += row.payment;
+        summary.interest += row.interest;
+        summary.principal += row.principal;
+        summary.prepayment += row.prepayment;
+        summary.balance = row.balance;
+    });
+    return years;
+};
@@ -0,0 +1,973 @@
+// --- Translations ---
+// Catalogue keys are shared by the markup (data-i18n, data-i18n-placeholder, data-i18n-title)
+// and by app.js through t(). Missing keys fall back to English, then to the key itself.
+// Values may carry {name} placeholders that t() fills in.
+const translations = {
+    en: {
+        // Header and sidebar
+        appTitle: 'Property Investment Calculator',
+        addNewProperty: 'Add New Property',
+        propertyName: 'Property Name',
+        namePlaceholder: 'e.g., Downtown Flat',
+        currency: 'Currency',
+        propertyPrice: 'Property Price (Millions)',
+        area: 'Area',
+        optional: 'Optional',
+        listingDetails: 'Listing Details',
+        location: 'Location',
+        rooms: 'Rooms',
+        roomsCount: '{count} rooms',
+        tags: 'Tags',
+        tagsPlaceholder: 'renovated, balcony',
+        listingUrl: 'Listing URL',
+        listing: 'Listing',
+        notes: 'Notes',
+        dateAdded: 'Added',
+        listingDetailsHint: 'Searchable from the table. The date added is recorded automatically.',
+        downPayment: 'Down Payment',
+        renovation: 'Renovation (Millions)',
+        renovationDuration: 'Works Duration',
+        renovationPayment: 'Renovation Paid',
+        renoPaidUpfront: 'Upfront',
+        renoSpreadEvenly: 'Spread over the works',
+        renovationDurationHint: 'No rent comes in during the works. The value steps up to the value after renovation on completion.',
+        valueAfterRenovation: 'Value After Renovation (Millions)',
+        afterRenoPlaceholder: 'Empty = Purchase Price',
+        interestRate: 'Interest Rate',
+        loanTerm: 'Loan Term',
+        yrs: 'Yrs',
+        monthlyCosts: 'Monthly Costs (Thousands)',
+        costBreakdown: 'Cost Breakdown',
+        costItemColumns: 'name, basis, k or %, growth %',
+        costBreakdownHint: 'Added to the monthly costs above. Fixed items grow at their own rate (empty = cost growth); percentage items follow the value or the rent collected each year.',
+        addCostItem: '+ Add cost',
+        removeCostItem: 'Remove cost',
+        perMonth: 'k / month',
+        perYear: 'k / year',
+        percentOfValue: '% of value / yr',
+        percentOfRent: '% of rent',
+        growthShort: 'Growth',
+        costGrowthTitle: 'Yearly growth of a fixed item; empty = cost growth',
+        commonCharges: 'Common charges',
+        insurance: 'Insurance',
+        propertyTax: 'Property tax',
+        maintenanceReserve: 'Maintenance reserve',
+        managementFee: 'Management fee',
+        ownerUtilities: 'Utilities (owner)',
+        purchaseCosts: 'Purchase Costs',
+        purchaseCostColumns: 'name, basis, % or k',
+        purchaseCostsHint: 'Empty tax and lawyer rates follow the settings. Remove a row or enter 0 for an exemption; add agent, valuation or notary fees as a % of the price or a fixed amount.',
+        addPurchaseCost: '+ Add purchase cost',
+        removePurchaseCost: 'Remove purchase cost',
+        percentOfPrice: '% of price',
+        fixedAmountK: 'fixed (k)',
+        expectedMonthlyRent: 'Expected Monthly Rent (Thousands)',
+        incomeModel: 'Income Model',
+        longTermLet: 'Long-term let',
+        shortTermLet: 'Short-term let',
+        shortTermRental: 'Short-term Rental',
+        shortTermHint: 'Monthly occupancy runs January to December; empty months use the flat occupancy. The tourist tax is a share of the room revenue (4% in Budapest). Vacancy and bad debt do not apply to short-term lets. Fill in both rents to compare the two ways of letting in the breakdown.',
+        nightlyRate: 'nightly rate',
+        occupancy: 'occupancy',
+        platformFee: 'platform fee',
+        touristTax: 'tourist tax',
+        cleaningPerStay: 'cleaning / stay',
+        averageStay: 'avg. stay',
+        nightsShort: 'nights',
+        seasonalityPlaceholder: 'Monthly occupancy %, Jan–Dec: 40, 45, 60, …',
+        initialCashIncludes: 'Includes: Down Pmt + Renovation',
+        totalCashNeeded: 'Total Cash Needed: {amount}',
+        variableRate: 'Variable Rate',
+        fixedPeriod: 'Fixed Period',
+        wholeTerm: 'Whole term',
+        fixed1Year: '1 year',
+        fixed3Years: '3 years',
+        fixed5Years: '5 years',
+        fixed10Years: '10 years',
+        rateShockAfter: 'Rate Shock After',
+        pts: 'pts',
+        rateSteps: 'Rate Steps (year:rate)',
+        rateStepsHint: 'Payments are recalculated at every reset. Steps override the shock and need a fixed period.',
+        additionalLoans: 'Additional Loans',
+        bankLoanGracePeriod: 'Bank Loan Grace Period',
+        months: 'months',
+        extraLoans: 'Extra Loans',
+        extraLoansColumns: 'name, amount, %, years, grace months',
+        extraLoansHint: 'Subsidised or family loans. The bank loan covers the rest of the price after the down payment. Interest only is paid during a grace period.',
+        addLoan: '+ Add loan',
+        removeLoan: 'Remove loan',
+        refinancing: 'Refinancing',
+        refinanceColumns: 'year, LTV %, rate %, years, fees (k)',
+        refinanceHint: 'At the end of the year all loans are paid off (with the prepayment penalty) and replaced by a new loan of LTV × the projected value after renovation. The rest, less fees, is released as cash-out.',
+        addRefinance: '+ Add refinance',
+        removeRefinance: 'Remove refinance',
+        fees: 'Fees',
+        name: 'Name',
+        grace: 'Grace',
+        extraRepayments: 'Extra Repayments',
+        extraMonthly: 'Extra Monthly',
+        lumpSums: 'Lump Sums',
+        lumpSumsFormat: 'year',
+        lumpSumsHint: 'Paid off the bank loan on top of the regular payment. Lump sums are paid at the end of the year.',
+        useSavingsFor: 'Use Savings For',
+        shorterTerm: 'Shorter Term',
+        lowerPayment: 'Lower Payment',
+        foreignCurrencyLoan: 'Foreign-Currency Loan',
+        bankLoanCurrency: 'Bank Loan Currency',
+        sameAsProperty: 'Same as property',
+        fxDrift: 'FX Drift',
+        perYear: '%/yr',
+        fxDriftHint: 'Yearly rise of the loan currency against the property currency. The balance and payments are converted at the drifted rate.',
+        growthOverrides: 'Growth Overrides',
+        overridesHint: 'Leave empty to use the defaults from Settings.',
+        appreciation: 'Appreciation',
+        rentGrowth: 'Rent Growth',
+        costGrowth: 'Cost Growth',
+        vacancy: 'Vacancy',
+        badDebt: 'Bad Debt',
+        rentalIncomeTax: 'Rental Income Tax',
+        default: 'Default',
+        defaultValue: 'Default ({value})',
+        defaultFromSettings: 'Default (from Settings)',
+        noTax: 'No Tax',
+        flatRateCosts: 'Flat-rate Costs',
+        itemisedCosts: 'Itemised Costs',
+        exitPlan: 'Exit Plan',
+        saleYear: 'Sale Year',
+        purchaseYear: 'Purchase Year',
+        now: 'Now',
+        yearShort: 'Yr',
+        agentFee: 'Agent Fee',
+        closingCosts: 'Closing Costs',
+        prepaymentPenalty: 'Prepayment Penalty',
+        addProperty: 'Add Property',
+
+        // Shared view banner
+        sharedBanner: "You're viewing shared data. Editing is disabled.",
+        previewWithMyData: 'Preview with My Data',
+        replaceMyData: 'Replace My Data',
+        addToMyData: 'Add to My Data',
+        dismiss: 'Dismiss',
+
+        // Results table
+        emptyState: 'No properties added yet.',
+        emptyStateHint: 'Fill out the form to start analyzing.',
+        columns: 'Columns',
+        searchProperties: 'Search…',
+        filters: 'Filters',
+        clearFilters: 'Clear filters',
+        min: 'min',
+        max: 'max',
+        grossYield: 'Gross Yield',
+        pricePerSqm: 'Price / m²',
+        rentPerSqm: 'Rent / m²',
+        roiAtYears: 'ROI {years}y',
+        roiHorizon: 'ROI horizon',
+        filteredOutOne: '1 property is hidden by the filters.',
+        filteredOutCount: '{count} properties are hidden by the filters.',
+        property: 'Property',
+        price: 'Price',
+        initialCash: 'Initial Cash',
+        rate: 'Rate',
+        mortgage: 'Mortgage',
+        mortgageTitle: 'Monthly payment once any grace period is over',
+        rent: 'Rent',
+        cashflow: 'Cashflow',
+        roi5y: 'ROI 5y',
+        action: 'Action',
+        afterTaxNote: '{value} after tax',
+        downPlusFees: '{percent} + Fees',
+        rateShockNote: '{shock} pts',
+        rateStepNote: '{rate}% after y{year}',
+        fixedRateNote: 'Fixed {years}y, then {after}',
+        repriced: 'repriced',
+        extraLoanCount: '+{count} extra loan',
+        extraLoansCount: '+{count} extra loans',
+        foreignLoanNote: '{currency} loan',
+        fxDriftNote: '{drift}%/yr FX',
+        extraPaymentNote: '+{amount} extra',
+        effectiveRentNote: '{amount} eff.',
+        shortTermNote: 'short-term, {occupancy} occupied',
+        shortTermIncome: 'Short-term Income (monthly avg.)',
+        bookingRevenue: 'Bookings ({nights} nights × {rate})',
+        cleaningStays: 'Cleaning ({stays} stays)',
+        netIncome: 'Net Income',
+        incomeComparison: 'Long-term vs Short-term (Year 1)',
+        perSqmNote: '{amount} / m²',
+        details: 'Details',
+        edit: 'Edit',
+        remove: 'Remove',
+        save: 'Save',
+        editReno: 'M Reno',
+        editRenoMonths: 'mo Works',
+        editValue: 'M Val',
+        editCosts: 'k Cost',
+        editAppreciation: '% Appr.',
+        editRentGrowth: '% Rent Gr.',
+        editCostGrowth: '% Cost Gr.',
+        editBadDebt: '% Bad Debt',
+        editAgentFee: '% Agent',
+        editClosing: 'k Closing',
+        editPenalty: '% Penalty',
+        editFixed: 'Fixed',
+        editRateShock: 'pts Shock',
+        editGrace: 'mo Grace',
+        monthsPerYearShort: 'mo/yr',
+        metricIrr: 'IRR',
+        metricNpv: 'NPV',
+        metricCashOnCash: 'Cash-on-Cash',
+        metricCapRate: 'Cap Rate',
+        metricDscr: 'DSCR',
+
+        // Tooltips
+        initialCashBreakdown: 'Initial Cash Breakdown',
+        downPmt: 'Down Pmt',
+        renovationShort: 'Renovation',
+        renoMonthsNote: '{months} mo',
+        renoSpreadShort: 'spread',
+        rentAfterWorks: 'Rent starts in month {month}, after the works.',
+        monthlyCostsYear1: 'Monthly Costs (Year 1)',
+        otherCosts: 'Other',
+        tax: 'Tax',
+        lawyer: 'Lawyer',
+        total: 'Total',
+        monthlyRent: 'Monthly Rent',
+        grossRent: 'Gross Rent',
+        effectiveRent: 'Effective Rent',
+        saleInYear: 'Sale in Year {year}',
+        salePrice: 'Sale Price',
+        agent: 'Agent',
+        loanPayoff: 'Loan Payoff',
+        penalty: 'Penalty',
+        capitalGainsTax: 'Capital Gains Tax',
+        netProceeds: 'Net Proceeds',
+        realisedReturn: 'Realised Return',
+
+        // Charts
+        chartYears10: '10y',
+        chartYears20: '20y',
+        chartYears30: '30y',
+        paperEquity: 'Paper Equity',
+        netAfterSale: 'Net After Sale',
+        preTax: 'Pre-tax',
+        afterTax: 'After-tax',
+        nominal: 'Nominal',
+        todaysMoney: "Today's Money",
+        todaysMoneyNote: "today's money",
+        benchmark: 'Benchmark',
+        cumulativeRoi: 'Cumulative ROI (%)',
+        cumulativeRoiInValue: 'Cumulative ROI in Value',
+        equity: 'Equity',
+        projectedPropertyValue: 'Projected Property Value',
+        yearsCount: '{years} Years',
+        yearNumber: 'Year {year}',
+        singlePath: 'Single Path',
+        monteCarlo: 'Monte Carlo',
+        simulationPaths: 'Paths',
+        simulationSeed: 'Seed',
+        meanPercent: 'Mean (%)',
+        volatilityPoints: 'Volatility (±)',
+        defaultMean: 'Default',
+        simulationNote: "Yearly appreciation, rent growth, vacancy and, after a loan's fixed period, the interest rate are drawn at random around their means. Shaded bands span the 10th to 90th percentile with a dashed median; they are drawn on pre-tax paper equity. Empty means use each property's own assumptions.",
+        simulationRunning: 'Simulating…',
+        simulationBasisHint: 'Switch to Paper Equity and Pre-tax to see the bands on the charts.',
+        belowBenchmarkChance: '{chance} chance of ending below the {benchmark} benchmark after {years} years',
+
+        // Property detail
+        overview: 'Overview',
+        amortization: 'Amortization',
+        prepayment: 'Prepayment',
+        netProceedsInYear: 'Net Proceeds (Year {year})',
+        overviewNote: 'IRR and NPV use after-tax cashflows and net sale proceeds in year {year}; NPV is discounted at the {benchmark} benchmark. Year 1 figures for the rest.',
+        yearlyCashFlow: 'Yearly Cash Flow',
+        year: 'Year',
+        month: 'Month',
+        costs: 'Costs',
+        noi: 'NOI',
+        debtService: 'Debt Service',
+        loan: 'Loan',
+        value: 'Value',
+        noLoan: 'This property has no loan.',
+        bankLoan: 'Bank Loan',
+        loanNumber: 'Loan {number}',
+        refinanceLoanName: 'Refinance (year {year})',
+        refinanceNote: 'Refinanced at the end of year {year}: {amount} new loan ({ltv} LTV) at {rate} over {years} years; {payoff} old loans paid off, {fees} fees.',
+        cashOutAmount: '{amount} cash-out',
+        cashInAmount: '{amount} to pay in',
+        amount: 'Amount',
+        term: 'Term',
+        firstPayment: 'First Payment',
+        totalInterest: 'Total Interest',
+        totalPaid: 'Total Paid',
+        yearsShort: '{years}y',
+        graceNote: '{months} mo grace',
+        multiLoanSummary: '{amount} across {count} loans (blended rate shown)',
+        loanSummary: '{amount} at {rate} over {years} years',
+        monthNumber: 'Month {month}',
+        exportCsv: 'Export CSV',
+        period: 'Period',
+        payment: 'Payment',
+        interest: 'Interest',
+        principal: 'Principal',
+        balance: 'Balance',
+        apply: 'Apply',
+        noBankLoan: 'This property has no bank loan to prepay.',
+        loanDuration: '{years}y {months}m',
+        totalPrepaid: 'Total Prepaid',
+        paidOffAfter: 'Paid Off After',
+        monthlyPaymentInYear: 'Monthly payment, year {year}',
+        monthlyCashflowYear1: 'Monthly cashflow, year 1',
+        realisedReturnSaleInYear: 'Realised return (sale in year {year})',
+        interestSaved: 'Interest saved',
+        paidOffEarlier: 'Loan paid off {duration} earlier.',
+        paidOffOnSchedule: 'Loan paid off on schedule.',
+        prepaymentNote: 'Prepayments reduce cashflow while they are paid and the loan payoff at sale.',
+        withoutPrepayment: 'Without Prepayment',
+        withPrepayment: 'With Prepayment',
+
+        // Sensitivity
+        sensitivity: 'Sensitivity',
+        sensitivityChange: 'Change',
+        horizonYears: 'Horizon (years)',
+        tornadoTitle: 'ROI after {years} years',
+        tornadoNote: 'Each input moves by ±{change} on its own, the others stay as entered. Bars start at the current ROI of {base}. Inflation moves appreciation, rent growth and cost growth together.',
+        sensitivityGrid: 'Two-input Grid',
+        gridRows: 'Rows',
+        gridMetric: 'Show',
+        roi: 'ROI',
+        valueAfterRenovationShort: 'Value After Renovation',
+        monthlyCostsShort: 'Monthly Costs',
+        inflation: 'Inflation',
+
+        // Scenarios
+        scenarios: 'Scenarios',
+        baseScenario: 'Base',
+        activeScenario: 'Active',
+        plotScenario: 'Plot',
+        setActive: 'Set active',
+        addScenario: '+ Add scenario',
+        removeScenario: 'Remove scenario',
+        scenarioNumber: 'Scenario {number}',
+        scenariosNote: "A scenario overrides some of the property's inputs; empty fields keep the base value. The active scenario drives the table, the charts and the other tabs. Plotted scenarios are drawn next to it on the charts.",
+
+        // Portfolio
+        portfolio: 'Portfolio',
+        portfolioCount: '{count} of {total} properties',
+        portfolioEmpty: 'No property is included in the portfolio.',
+        portfolioNote: 'Totals of the included properties as bought; LTV uses the values at purchase and the ratios use each first year. Profit follows the chart settings on the portfolio timeline, where a property counts from its purchase year.',
+        inPortfolio: 'In portfolio',
+        purchaseYearShort: 'Buy in year',
+        boughtInYear: 'Bought in {year}',
+        reinvestedCashflow: 'Funded from cashflow',
+        debt: 'Debt',
+        profitInYear: 'Profit by {year}',
+        ltv: 'LTV',
+
+        // Delete modal
+        removeProperty: 'Remove Property',
+        confirmRemovePrefix: 'Are you sure you want to remove "',
+        confirmRemoveSuffix: '"? This action will permanently delete the property from your analyzer.',
+        cancel: 'Cancel',
+
+        // Settings drawer
+        settings: 'Settings',
+        globalVariables: 'Global Variables',
+        taxRate: 'Tax Rate',
+        lawyerFee: 'Lawyer Fee',
+        annualAppreciation: 'Annual Appreciation',
+        annualRentGrowth: 'Annual Rent Growth',
+        annualCostGrowth: 'Annual Cost Growth',
+        cpi: 'Consumer Price Inflation (CPI)',
+        cpiHint: "Used to show charts in today's money.",
+        timeline: 'Timeline',
+        startYear: 'Start Year',
+        startYearHint: 'Year 0 of the charts. Properties without a purchase year are bought then.',
+        reinvestCashflow: 'Reinvest surplus cashflow',
+        reinvestCashflowHint: 'In the portfolio view, cashflow saved up from the properties already owned pays into the initial cash of the next purchase.',
+        screening: 'Screening',
+        screeningHint: 'Every property is checked against these rules; the table shows how many it passes. Amounts are monthly, in thousands of the display currency.',
+        addRule: '+ Add rule',
+        removeRule: 'Remove rule',
+        ruleStressedCashflow: 'Cashflow at +1 pt rate',
+        ruleRoiOverBenchmark: 'ROI 5y over benchmark',
+        rulesPassed: '{passed}/{total} rules',
+        passingOnly: 'Passing only',
+        screenedOutOne: '1 property fails the screening rules and is hidden.',
+        screenedOutCount: '{count} properties fail the screening rules and are hidden.',
+        vacancyCollectionLoss: 'Vacancy & Collection Loss',
+        vacancyPercentOfRent: '% of rent',
+        vacancyMonthsPerYear: 'Months / year',
+        badDebtUncollected: 'Bad Debt (Uncollected Rent)',
+        exchangeRates: 'Exchange Rates',
+        taxes: 'Taxes',
+        rentalIncomeTaxRegime: 'Rental Income Tax Regime',
+        incomeTax: 'Income Tax',
+        flatCostShare: 'Flat Cost Share',
+        taxableGainByHoldingYear: 'Taxable Gain by Holding Year',
+        saleTaxScheduleHint: '% of the gain taxed when sold after 0, 1, 2… years. The last value applies to later years.',
+        preferences: 'Preferences',
+        theme: 'Theme',
+        light: 'Light',
+        dark: 'Dark',
+        language: 'Language',
+        data: 'Data',
+        exportData: 'Export Data',
+        importData: 'Import Data',
+        shareViaUrl: 'Share via URL',
+
+        // Validation
+        errPricePositive: 'Price must be positive',
+        errDownPaymentRange: 'Down payment must be 0–100%',
+        errRateNegative: 'Interest rate cannot be negative',
+        errTermMin: 'Loan term must be at least 1 year',
+        errFixedPeriod: 'Fixed period must be within the loan term',
+        errRateStepsWholeTerm: 'Rate steps need a fixed period; a loan fixed for the whole term never resets',
+        errExtraPaymentNegative: 'Extra repayment cannot be negative',
+        errLumpSumsTerm: 'Lump sums must fall in a whole year within the loan term',
+        errGracePeriod: 'Grace period must be shorter than the loan term',
+        errTrancheAmount: 'Loan "{name}" needs a positive amount',
+        errTrancheRate: 'Loan "{name}" cannot have a negative rate',
+        errTrancheTerm: 'Loan "{name}" needs a term of at least 1 year',
+        errTrancheGrace: 'Loan "{name}" grace period must be shorter than its term',
+        errRefinanceYear: 'Refinance year must be a whole number of at least 1',
+        errRefinanceLtv: 'Refinance in year {year} needs an LTV between 0 and 100%',
+        errRefinanceRate: 'Refinance in year {year} cannot have a negative rate',
+        errRefinanceTerm: 'Refinance in year {year} needs a term of at least 1 year',
+        errRefinanceFees: 'Refinance fees in year {year} cannot be negative',
+        errTranchesExceed: 'Extra loans exceed the amount financed',
+        errRentNegative: 'Rent cannot be negative',
+        errNightlyRateRequired: 'A short-term let needs a nightly rate',
+        errNightlyRateNegative: 'Nightly rate cannot be negative',
+        errOccupancyRange: 'Occupancy must be between 0 and 100%',
+        errSeasonalityMonths: 'Monthly occupancy takes at most 12 values',
+        errShortTermFeeRange: 'Platform fee and tourist tax must be between 0 and 100%',
+        errCleaningNegative: 'Cleaning cost cannot be negative',
+        errStayLength: 'Average stay must be at least 1 night',
+        errRenoMonthsNegative: 'Works duration cannot be negative',
+        errAreaPositive: 'Area must be greater than 0',
+        errRoomsPositive: 'Rooms must be greater than 0',
+        errListingUrl: 'Listing URL must start with http:// or https://',
+        errCostItemNegative: 'Cost "{name}" cannot be negative',
+        errPurchaseCostNegative: 'Purchase cost "{name}" cannot be negative',
+        errVacancyRange: 'Vacancy must be 0–100%',
+        errBadDebtRange: 'Bad debt must be 0–100%',
+        errSaleYearMin: 'Sale year must be a whole number of at least 1',
+        errPurchaseYearWhole: 'Purchase year must be a whole year',
+        errPurchaseYearBeforeStart: 'Purchase year cannot be before the start year ({year})',
+        errAgentFeeNegative: 'Agent fee cannot be negative',
+        errPenaltyNegative: 'Prepayment penalty cannot be negative',
+
+        // Messages
+        importMissingProperties: 'Invalid file: missing properties array.',
+        importSuccess: 'Data imported successfully.',
+        importError: 'Error importing data: {message}',
+        toastAddPropertiesFirst: 'Add properties first',
+        toastLinkCopied: 'Link copied to clipboard!',
+        toastCopyFailed: 'Failed to copy link',
+        toastSharedReplaced: 'Shared data replaced your data',
+        toastSharedAdded: 'Shared properties added to your data'
+    },
+    hu: {
+        // Header and sidebar
+        appTitle: 'Ingatlanbefektetési kalkulátor',
+        addNewProperty: 'Új ingatlan',
+        propertyName: 'Ingatlan neve',
+        namePlaceholder: 'pl. Belvárosi lakás',
+        currency: 'Pénznem',
+        propertyPrice: 'Vételár (millió)',
+        area: 'Alapterület',
+        optional: 'Opcionális',
+        listingDetails: 'Hirdetés adatai',
+        location: 'Elhelyezkedés',
+        rooms: 'Szobák',
+        roomsCount: '{count} szoba',
+        tags: 'Címkék',
+        tagsPlaceholder: 'felújított, erkélyes',
+        listingUrl: 'Hirdetés linkje',
+        listing: 'Hirdetés',
+        notes: 'Jegyzetek',
+        dateAdded: 'Hozzáadva',
+        listingDetailsHint: 'A táblázatban kereshető. A hozzáadás dátuma automatikusan rögzül.',
+        downPayment: 'Önerő',
+        renovation: 'Felújítás (millió)',
+        renovationDuration: 'Munkálatok időtartama',
+        renovationPayment: 'Felújítás fizetése',
+        renoPaidUpfront: 'Előre',
+        renoSpreadEvenly: 'A munkálatok alatt elosztva',
+        renovationDurationHint: 'A munkálatok alatt nincs bérleti bevétel. Az érték a befejezéskor ugrik a felújítás utáni értékre.',
+        valueAfterRenovation: 'Érték felújítás után (millió)',
+        afterRenoPlaceholder: 'Üres = vételár',
+        interestRate: 'Kamat',
+        loanTerm: 'Futamidő',
+        yrs: 'év',
+        monthlyCosts: 'Havi költségek (ezer)',
+        costBreakdown: 'Költségek részletezése',
+        costItemColumns: 'név, alap, e vagy %, növekedés %',
+        costBreakdownHint: 'A fenti havi költségekhez adódik. A fix tételek saját ütemben nőnek (üres = költségnövekedés); a százalékos tételek minden évben az értéket vagy a beszedett bérleti díjat követik.',
+        addCostItem: '+ Költség hozzáadása',
+        removeCostItem: 'Költség törlése',
+        perMonth: 'e / hó',
+        perYear: 'e / év',
+        percentOfValue: 'érték %-a / év',
+        percentOfRent: 'bérleti díj %-a',
+        growthShort: 'Növ.',
+        costGrowthTitle: 'Fix tétel éves növekedése; üres = költségnövekedés',
+        commonCharges: 'Közös költség',
+        insurance: 'Biztosítás',
+        propertyTax: 'Építményadó',
+        maintenanceReserve: 'Felújítási alap',
+        managementFee: 'Kezelési díj',
+        ownerUtilities: 'Rezsi (tulajdonos)',
+        purchaseCosts: 'Vásárlási költségek',
+        purchaseCostColumns: 'név, alap, % vagy e',
+        purchaseCostsHint: 'Az üres illeték és ügyvédi díj a beállításokat követi. Mentességhez törölje a sort vagy írjon 0-t; ingatlanos, értékbecslési vagy közjegyzői díj a vételár %-aként vagy fix összegként adható meg.',
+        addPurchaseCost: '+ Vásárlási költség hozzáadása',
+        removePurchaseCost: 'Vásárlási költség törlése',
+        percentOfPrice: 'vételár %-a',
+        fixedAmountK: 'fix (e)',
+        expectedMonthlyRent: 'Várható havi bérleti díj (ezer)',
+        incomeModel: 'Bevételi modell',
+        longTermLet: 'Hosszú távú kiadás',
+        shortTermLet: 'Rövid távú kiadás',
+        shortTermRental: 'Rövid távú kiadás',
+        shortTermHint: 'A havi kihasználtság januártól decemberig tart; az üres hónapok az átlagos kihasználtságot használják. Az idegenforgalmi adó a szállásdíj százaléka (Budapesten 4%). Rövid távú kiadásnál az üresjárat és a behajthatatlan bérleti díj nem számít. Töltse ki mindkét bérleti díjat, hogy a bontásban összevethesse a két kiadási módot.',
+        nightlyRate: 'éjszakai díj',
+        occupancy: 'kihasználtság',
+        platformFee: 'platformdíj',
+        touristTax: 'idegenforgalmi adó',
+        cleaningPerStay: 'takarítás / foglalás',
+        averageStay: 'átl. tartózkodás',
+        nightsShort: 'éj',
+        seasonalityPlaceholder: 'Havi kihasználtság %, jan–dec: 40, 45, 60, …',
+        initialCashIncludes: 'Tartalmazza: önerő + felújítás',
+        totalCashNeeded: 'Szükséges saját tőke: {amount}',
+        variableRate: 'Változó kamat',
+        fixedPeriod: 'Kamatperiódus',
+        wholeTerm: 'Teljes futamidő',
+        fixed1Year: '1 év',
+        fixed3Years: '3 év',
+        fixed5Years: '5 év',
+        fixed10Years: '10 év',
+        rateShockAfter: 'Kamatemelkedés utána',
+        pts: 'pont',
+        rateSteps: 'Kamatlépcsők (év:kamat)',
+        rateStepsHint: 'A törlesztő minden kamatfordulókor újraszámolódik. A lépcsők felülírják a kamatemelkedést, és kamatperiódust igényelnek.',
+        additionalLoans: 'További hitelek',
+        bankLoanGracePeriod: 'Banki hitel türelmi ideje',
+        months: 'hónap',
+        extraLoans: 'További hitelek',
+        extraLoansColumns: 'név, összeg, %, év, türelmi hónapok',
+        extraLoansHint: 'Támogatott vagy családi hitelek. A banki hitel fedezi a vételár önerő utáni maradékát. A türelmi idő alatt csak kamatot kell fizetni.',
+        addLoan: '+ Hitel hozzáadása',
+        removeLoan: 'Hitel törlése',
+        refinancing: 'Refinanszírozás',
+        refinanceColumns: 'év, LTV %, kamat %, év, díjak (e)',
+        refinanceHint: 'Az év végén minden hitel visszafizetésre kerül (előtörlesztési díjjal), helyette új hitel indul a felújítás utáni várható érték LTV-szeresére. A maradék a díjak levonása után felszabaduló tőkeként kerül kifizetésre.',
+        addRefinance: '+ Refinanszírozás hozzáadása',
+        removeRefinance: 'Refinanszírozás törlése',
+        fees: 'Díjak',
+        name: 'Név',
+        grace: 'Türelmi',
+        extraRepayments: 'Előtörlesztés',
+        extraMonthly: 'Havi többlet',
+        lumpSums: 'Egyösszegű befizetések',
+        lumpSumsFormat: 'év',
+        lumpSumsHint: 'A banki hitelt törlesztik a rendes részleten felül. Az egyösszegű befizetések az év végén esedékesek.',
+        useSavingsFor: 'A megtakarítás célja',
+        shorterTerm: 'Rövidebb futamidő',
+        lowerPayment: 'Alacsonyabb törlesztő',
+        foreignCurrencyLoan: 'Devizahitel',
+        bankLoanCurrency: 'Banki hitel pénzneme',
+        sameAsProperty: 'Az ingatlanéval egyező',
+        fxDrift: 'Árfolyamváltozás',
+        perYear: '%/év',
+        fxDriftHint: 'A hitel pénznemének éves erősödése az ingatlan pénznemével szemben. A tartozás és a részletek a változó árfolyamon számolódnak.',
+        growthOverrides: 'Egyedi növekedési ráták',
+        overridesHint: 'Üresen hagyva a Beállítások alapértékei érvényesek.',
+        appreciation: 'Értéknövekedés',
+        rentGrowth: 'Bérleti díj növekedése',
+        costGrowth: 'Költségnövekedés',
+        vacancy: 'Kihasználatlanság',
+        badDebt: 'Behajthatatlan bérleti díj',
+        rentalIncomeTax: 'Bérbeadás adója',
+        default: 'Alapértelmezett',
+        defaultValue: 'Alapértelmezett ({value})',
+        defaultFromSettings: 'Alapértelmezett (Beállításokból)',
+        noTax: 'Adómentes',
+        flatRateCosts: 'Költséghányados',
+        itemisedCosts: 'Tételes költségelszámolás',
+        exitPlan: 'Kiszállás',
+        saleYear: 'Eladás éve',
+        purchaseYear: 'Vásárlás éve',
+        now: 'Most',
+        yearShort: 'év',
+        agentFee: 'Ingatlanos jutalék',
+        closingCosts: 'Eladási költségek',
+        prepaymentPenalty: 'Előtörlesztési díj',
+        addProperty: 'Ingatlan hozzáadása',
+
+        // Shared view banner
+        sharedBanner: 'Megosztott adatokat látsz. A szerkesztés nem elérhető.',
+        previewWithMyData: 'Előnézet a saját adataimmal',
+        replaceMyData: 'Saját adataim cseréje',
+        addToMyData: 'Hozzáadás a saját adataimhoz',
+        dismiss: 'Bezárás',
+
+        // Results table
+        emptyState: 'Még nincs ingatlan hozzáadva.',
+        emptyStateHint: 'Töltsd ki az űrlapot az elemzés indításához.',
+        columns: 'Oszlopok',
+        searchProperties: 'Keresés…',
+        filters: 'Szűrők',
+        clearFilters: 'Szűrők törlése',
+        min: 'min',
+        max: 'max',
+        grossYield: 'Bruttó hozam',
+        pricePerSqm: 'Ár / m²',
+        rentPerSqm: 'Bérleti díj / m²',
+        roiAtYears: 'Hozam {years} év',
+        roiHorizon: 'Hozam időtáv',
+        filteredOutOne: '1 ingatlant elrejtenek a szűrők.',
+        filteredOutCount: '{count} ingatlant elrejtenek a szűrők.',
+        property: 'Ingatlan',
+        price: 'Vételár',
+        initialCash: 'Saját tőke',
+        rate: 'Kamatláb',
+        mortgage: 'Törlesztő',
+        mortgageTitle: 'Havi törlesztő a türelmi idő lejárta után',
+        rent: 'Bérleti díj',
+        cashflow: 'Pénzáramlás',
+        roi5y: 'Hozam 5 év',
+        action: 'Művelet',
+        afterTaxNote: 'adózás után {value}',
+        downPlusFees: '{percent} + díjak',
+        rateShockNote: '{shock} pont',
+        rateStepNote: '{rate}% a(z) {year}. év után',
+        fixedRateNote: '{years} évig fix, utána {after}',
+        repriced: 'átárazva',
+        extraLoanCount: '+{count} további hitel',
+        extraLoansCount: '+{count} további hitel',
+        foreignLoanNote: '{currency} hitel',
+        fxDriftNote: 'árfolyam {drift}%/év',
+        extraPaymentNote: '+{amount} többlet',
+        effectiveRentNote: '{amount} tényleges',
+        shortTermNote: 'rövid távú, {occupancy} kihasználtság',
+        shortTermIncome: 'Rövid távú bevétel (havi átlag)',
+        bookingRevenue: 'Foglalások ({nights} éj × {rate})',
+        cleaningStays: 'Takarítás ({stays} foglalás)',
+        netIncome: 'Nettó bevétel',
+        incomeComparison: 'Hosszú vs rövid távú kiadás (1. év)',
+        perSqmNote: '{amount} / m²',
+        details: 'Részletek',
+        edit: 'Szerkesztés',
+        remove: 'Törlés',
+        save: 'Mentés',
+        editReno: 'M felújítás',
+        editRenoMonths: 'hó munkálat',
+        editValue: 'M érték',
+        editCosts: 'e költség',
+        editAppreciation: '% értéknöv.',
+        editRentGrowth: '% bérnöv.',
+        editCostGrowth: '% költségnöv.',
+        editBadDebt: '% behajthatatlan',
+        editAgentFee: '% jutalék',
+        editClosing: 'e eladási költség',
+        editPenalty: '% előtörl. díj',
+        editFixed: 'fix',
+        editRateShock: 'pont emelkedés',
+        editGrace: 'hó türelmi',
+        monthsPerYearShort: 'hó/év',
+        metricIrr: 'IRR',
+        metricNpv: 'NPV',
+        metricCashOnCash: 'Tőkearányos hozam',
+        metricCapRate: 'Bruttó hozam',
+        metricDscr: 'DSCR',
+
+        // Tooltips
+        initialCashBreakdown: 'Saját tőke bontása',
+        downPmt: 'Önerő',
+        renovationShort: 'Felújítás',
+        renoMonthsNote: '{months} hó',
+        renoSpreadShort: 'elosztva',
+        rentAfterWorks: 'A bérleti díj a(z) {month}. hónaptól folyik be, a munkálatok után.',
+        monthlyCostsYear1: 'Havi költségek (1. év)',
+        otherCosts: 'Egyéb',
+        tax: 'Illeték',
+        lawyer: 'Ügyvéd',
+        total: 'Összesen',
+        monthlyRent: 'Havi bérleti díj',
+        grossRent: 'Bruttó bérleti díj',
+        effectiveRent: 'Tényleges bérleti díj',
+        saleInYear: 'Eladás a(z) {year}. évben',
+        salePrice: 'Eladási ár',
+        agent: 'Jutalék',
+        loanPayoff: 'Hitelkiváltás',
+        penalty: 'Előtörlesztési díj',
+        capitalGainsTax: 'Árfolyamnyereség-adó',
+        netProceeds: 'Nettó bevétel',
+        realisedReturn: 'Realizált hozam',
+
+        // Charts
+        chartYears10: '10 év',
+        chartYears20: '20 év',
+        chartYears30: '30 év',
+        paperEquity: 'Papíron lévő tőke',
+        netAfterSale: 'Nettó eladás után',
+        preTax: 'Adózás előtt',
+        afterTax: 'Adózás után',
+        nominal: 'Névérték',
+        todaysMoney: 'Mai pénzben',
+        todaysMoneyNote: 'mai pénzben',
+        benchmark: 'Referencia',
+        cumulativeRoi: 'Kumulált hozam (%)',
+        cumulativeRoiInValue: 'Kumulált hozam összegben',
+        equity: 'Saját tőke',
+        projectedPropertyValue: 'Várható ingatlanérték',
+        yearsCount: '{years} év',
+        yearNumber: '{year}. év',
+        singlePath: 'Egy pálya',
+        monteCarlo: 'Monte Carlo',
+        simulationPaths: 'Pályák',
+        simulationSeed: 'Kezdőérték',
+        meanPercent: 'Átlag (%)',
+        volatilityPoints: 'Szórás (±)',
+        defaultMean: 'Alapért.',
+        simulationNote: 'Az éves értéknövekedés, a bérleti díj növekedése, a kihasználatlanság és a hitel kamatrögzítése után a kamat véletlenszerűen szóródik az átlaga körül. A sávok a 10. és 90. percentilis közé esnek, a szaggatott vonal a medián; a sávok adózás előtti, papíron lévő tőkére vonatkoznak. Üres átlagnál minden ingatlan a saját feltevéseit használja.',
+        simulationRunning: 'Szimuláció folyamatban…',
+        simulationBasisHint: 'A sávok a Papíron lévő tőke és Adózás előtt nézetben jelennek meg a grafikonokon.',
+        belowBenchmarkChance: '{chance} eséllyel marad el a {benchmark} referenciától {years} év után',
+
+        // Property detail
+        overview: 'Áttekintés',
+        amortization: 'Törlesztési terv',
+        prepayment: 'Előtörlesztés',
+        netProceedsInYear: 'Nettó bevétel ({year}. év)',
+        overviewNote: 'Az IRR és az NPV az adózás utáni pénzáramlással és a(z) {year}. évi nettó eladási bevétellel számol; az NPV diszkontrátája a(z) {benchmark} referenciahozam. A többi mutató az 1. év adata.',
+        yearlyCashFlow: 'Éves pénzáramlás',
+        year: 'Év',
+        month: 'Hónap',
+        costs: 'Költségek',
+        noi: 'NOI',
+        debtService: 'Adósságszolgálat',
+        loan: 'Hitel',
+        value: 'Érték',
+        noLoan: 'Ehhez az ingatlanhoz nem tartozik hitel.',
+        bankLoan: 'Banki hitel',
+        loanNumber: '{number}. hitel',
+        refinanceLoanName: 'Refinanszírozás ({year}. év)',
+        refinanceNote: 'Refinanszírozás a(z) {year}. év végén: {amount} új hitel ({ltv} LTV), {rate} kamat, {years} év; {payoff} régi hitel visszafizetve, {fees} díj.',
+        cashOutAmount: '{amount} felszabaduló tőke',
+        cashInAmount: '{amount} befizetendő',
+        amount: 'Összeg',
+        term: 'Futamidő',
+        firstPayment: 'Első részlet',
+        totalInterest: 'Összes kamat',
+        totalPaid: 'Összes befizetés',
+        yearsShort: '{years} év',
+        graceNote: '{months} hó türelmi',
+        multiLoanSummary: '{amount} {count} hitelből (átlagos kamattal)',
+        loanSummary: '{amount}, {rate} kamat, {years} év',
+        monthNumber: '{month}. hónap',
+        exportCsv: 'CSV exportálása',
+        period: 'Időszak',
+        payment: 'Részlet',
+        interest: 'Kamat',
+        principal: 'Tőke',
+        balance: 'Tartozás',
+        apply: 'Alkalmaz',
+        noBankLoan: 'Ehhez az ingatlanhoz nem tartozik előtörleszthető banki hitel.',
+        loanDuration: '{years} év {months} hó',
+        totalPrepaid: 'Összes előtörlesztés',
+        paidOffAfter: 'Visszafizetve',
+        monthlyPaymentInYear: 'Havi részlet, {year}. év',
+        monthlyCashflowYear1: 'Havi pénzáramlás, 1. év',
+        realisedReturnSaleInYear: 'Realizált hozam (eladás a(z) {year}. évben)',
+        interestSaved: 'Megtakarított kamat',
+        paidOffEarlier: 'A hitel {duration} korábban fut ki.',
+        paidOffOnSchedule: 'A hitel a tervezett időben fut ki.',
+        prepaymentNote: 'Az előtörlesztés a befizetés idején csökkenti a pénzáramlást, eladáskor pedig a kiváltandó tartozást.',
+        withoutPrepayment: 'Előtörlesztés nélkül',
+        withPrepayment: 'Előtörlesztéssel',
+
+        // Sensitivity
+        sensitivity: 'Érzékenység',
+        sensitivityChange: 'Változás',
+        horizonYears: 'Időtáv (év)',
+        tornadoTitle: 'Hozam {years} év után',
+        tornadoNote: 'Minden bemenet külön-külön változik ±{change} értékkel, a többi a megadott marad. Az oszlopok a jelenlegi {base} hozamtól indulnak. Az infláció együtt mozgatja az értéknövekedést, a bérleti díj és a költségek növekedését.',
+        sensitivityGrid: 'Kétváltozós táblázat',
+        gridRows: 'Sorok',
+        gridMetric: 'Mutató',
+        roi: 'Hozam',
+        valueAfterRenovationShort: 'Érték felújítás után',
+        monthlyCostsShort: 'Havi költségek',
+        inflation: 'Infláció',
+
+        // Scenarios
+        scenarios: 'Forgatókönyvek',
+        baseScenario: 'Alap',
+        activeScenario: 'Aktív',
+        plotScenario: 'Grafikon',
+        setActive: 'Aktiválás',
+        addScenario: '+ Forgatókönyv hozzáadása',
+        removeScenario: 'Forgatókönyv törlése',
+        scenarioNumber: '{number}. forgatókönyv',
+        scenariosNote: 'A forgatókönyv felülírja az ingatlan egyes adatait; az üres mezők az alapértéket tartják meg. Az aktív forgatókönyv alapján készül a táblázat, a grafikonok és a többi fül. A grafikonra jelölt forgatókönyvek mellette jelennek meg.',
+
+        // Portfolio
+        portfolio: 'Portfólió',
+        portfolioCount: '{count} / {total} ingatlan',
+        portfolioEmpty: 'Egyetlen ingatlan sincs a portfólióban.',
+        portfolioNote: 'A portfólióba vett ingatlanok összesítése vásárláskori állapotban; a hitelfedezeti arány a vásárláskori értékeket, a mutatók az első évet használják. A nyereség a grafikonok beállításait követi a portfólió idővonalán, ahol minden ingatlan a vásárlás évétől számít.',
+        inPortfolio: 'Portfólióban',
+        purchaseYearShort: 'Vásárlás éve',
+        boughtInYear: 'Vásárlás: {year}',
+        reinvestedCashflow: 'Pénzáramlásból finanszírozva',
+        debt: 'Hitelállomány',
+        profitInYear: 'Nyereség ({year})',
+        ltv: 'LTV',
+
+        // Delete modal
+        removeProperty: 'Ingatlan törlése',
+        confirmRemovePrefix: 'Biztosan törölni szeretnéd: „',
+        confirmRemoveSuffix: '”? Az ingatlan véglegesen törlődik az elemzőből.',
+        cancel: 'Mégse',
+
+        // Settings drawer
+        settings: 'Beállítások',
+        globalVariables: 'Általános feltételezések',
+        taxRate: 'Vagyonszerzési illeték',
+        lawyerFee: 'Ügyvédi díj',
+        annualAppreciation: 'Éves értéknövekedés',
+        annualRentGrowth: 'Éves bérleti díj növekedés',
+        annualCostGrowth: 'Éves költségnövekedés',
+        cpi: 'Fogyasztói árindex (infláció)',
+        cpiHint: 'A grafikonok mai pénzben való megjelenítéséhez.',
+        timeline: 'Idővonal',
+        startYear: 'Kezdő év',
+        startYearHint: 'A grafikonok 0. éve. A vásárlási év nélküli ingatlanokat ekkor vásároljuk.',
+        reinvestCashflow: 'Többlet pénzáramlás újrabefektetése',
+        reinvestCashflowHint: 'Portfólió nézetben a már meglévő ingatlanok felhalmozott pénzáramlása a következő vásárlás kezdő tőkéjébe kerül.',
+        screening: 'Szűrés',
+        screeningHint: 'Minden ingatlan ezekkel a szabályokkal kerül ellenőrzésre; a táblázat mutatja, hányat teljesít. Az összegek havi értékek, a megjelenítési pénznem ezreseiben.',
+        addRule: '+ Szabály hozzáadása',
+        removeRule: 'Szabály törlése',
+        ruleStressedCashflow: 'Pénzáramlás +1 pont kamattal',
+        ruleRoiOverBenchmark: 'Hozam 5 év a referencia felett',
+        rulesPassed: '{passed}/{total} szabály',
+        passingOnly: 'Csak a megfelelők',
+        screenedOutOne: '1 ingatlan nem felel meg a szűrési szabályoknak, ezért rejtve van.',
+        screenedOutCount: '{count} ingatlan nem felel meg a szűrési szabályoknak, ezért rejtve van.',
+        vacancyCollectionLoss: 'Kihasználatlanság és kintlévőség',
+        vacancyPercentOfRent: 'a bérleti díj %-a',
+        vacancyMonthsPerYear: 'hónap / év',
+        badDebtUncollected: 'Behajthatatlan bérleti díj',
+        exchangeRates: 'Árfolyamok',
+        taxes: 'Adók',
+        rentalIncomeTaxRegime: 'Bérbeadás adózási módja',
+        incomeTax: 'Személyi jövedelemadó',
+        flatCostShare: 'Költséghányad',
+        taxableGainByHoldingYear: 'Adóköteles nyereség a tartási idő szerint',
+        saleTaxScheduleHint: 'A nyereség adóköteles része 0, 1, 2… év tartás után. Az utolsó érték a későbbi évekre is érvényes.',
+        preferences: 'Megjelenés',
+        theme: 'Téma',
+        light: 'Világos',
+        dark: 'Sötét',
+        language: 'Nyelv',
+        data: 'Adatok',
+        exportData: 'Adatok exportálása',
+        importData: 'Adatok importálása',
+        shareViaUrl: 'Megosztás linkkel',
+
+        // Validation
+        errPricePositive: 'A vételárnak pozitívnak kell lennie',
+        errDownPaymentRange: 'Az önerő 0–100% között lehet',
+        errRateNegative: 'A kamat nem lehet negatív',
+        errTermMin: 'A futamidő legalább 1 év',
+        errFixedPeriod: 'A kamatperiódus nem lehet hosszabb a futamidőnél',
+        errRateStepsWholeTerm: 'A kamatlépcsőkhöz kamatperiódus kell; a teljes futamidőre rögzített kamat nem változik',
+        errExtraPaymentNegative: 'Az előtörlesztés nem lehet negatív',
+        errLumpSumsTerm: 'Az egyösszegű befizetéseknek a futamidőn belüli egész évre kell esniük',
+        errGracePeriod: 'A türelmi időnek rövidebbnek kell lennie a futamidőnél',
+        errTrancheAmount: '„{name}” hitel összegének pozitívnak kell lennie',
+        errTrancheRate: '„{name}” hitel kamata nem lehet negatív',
+        errTrancheTerm: '„{name}” hitel futamideje legalább 1 év',
+        errTrancheGrace: '„{name}” hitel türelmi idejének rövidebbnek kell lennie a futamidejénél',
+        errRefinanceYear: 'A refinanszírozás éve legalább 1 lehet, egész számként',
+        errRefinanceLtv: 'A(z) {year}. évi refinanszírozás LTV-je 0 és 100% között lehet',
+        errRefinanceRate: 'A(z) {year}. évi refinanszírozás kamata nem lehet negatív',
+        errRefinanceTerm: 'A(z) {year}. évi refinanszírozás futamideje legalább 1 év',
+        errRefinanceFees: 'A(z) {year}. évi refinanszírozás díja nem lehet negatív',
+        errTranchesExceed: 'A további hitelek meghaladják a finanszírozott összeget',
+        errRentNegative: 'A bérleti díj nem lehet negatív',
+        errNightlyRateRequired: 'Rövid távú kiadáshoz meg kell adni az éjszakai díjat',
+        errNightlyRateNegative: 'Az éjszakai díj nem lehet negatív',
+        errOccupancyRange: 'A kihasználtságnak 0 és 100% között kell lennie',
+        errSeasonalityMonths: 'A havi kihasználtság legfeljebb 12 értéket tartalmazhat',
+        errShortTermFeeRange: 'A platformdíjnak és az idegenforgalmi adónak 0 és 100% között kell lennie',
+        errCleaningNegative: 'A takarítási költség nem lehet negatív',
+        errStayLength: 'Az átlagos tartózkodásnak legalább 1 éjszakának kell lennie',
+        errRenoMonthsNegative: 'A munkálatok időtartama nem lehet negatív',
+        errAreaPositive: 'Az alapterületnek 0-nál nagyobbnak kell lennie',
+        errRoomsPositive: 'A szobák számának 0-nál nagyobbnak kell lennie',
+        errListingUrl: 'A hirdetés linkjének http:// vagy https:// előtaggal kell kezdődnie',
+        errCostItemNegative: '„{name}” költség nem lehet negatív',
+        errPurchaseCostNegative: '„{name}” vásárlási költség nem lehet negatív',
+        errVacancyRange: 'A kihasználatlanság 0–100% között lehet',
+        errBadDebtRange: 'A behajthatatlan bérleti díj 0–100% között lehet',
+        errSaleYearMin: 'Az eladás éve legalább 1 lehet, egész számként',
+        errPurchaseYearWhole: 'A vásárlás évének egész évnek kell lennie',
+        errPurchaseYearBeforeStart: 'A vásárlás éve nem lehet a kezdő év ({year}) előtt',
+        errAgentFeeNegative: 'A jutalék nem lehet negatív',
+        errPenaltyNegative: 'Az előtörlesztési díj nem lehet negatív',
+
+        // Messages
+        importMissingProperties: 'Érvénytelen fájl: hiányzik az ingatlanok listája.',
+        importSuccess: 'Az adatok importálása sikerült.',
+        importError: 'Hiba az adatok importálásakor: {message}',
+        toastAddPropertiesFirst: 'Előbb adj hozzá ingatlanokat',
+        toastLinkCopied: 'Link a vágólapra másolva!',
+        toastCopyFailed: 'A link másolása nem sikerült',
+        toastSharedReplaced: 'A megosztott adatok lecserélték a saját adataidat',
+        toastSharedAdded: 'A megosztott ingatlanok bekerültek a saját adataid közé'
+    }
+};
+
+const locales = { en: 'en-GB', hu: 'hu-HU' };
+
+// The language preference lives in app.js with the other preferences
+const getLanguage = () => translations[preferences.language] ? preferences.language : 'en';
+
+const getLocale = () => locales[getLanguage()];
+
+// Option maps and column or tab lists in app.js hold translation keys as labels; they go
+// through t() when rendered so a language switch relabels them
+const t = (key, params = {}) => {
+    const text = translations[getLanguage()][key] ?? translations.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+};
+
+// --- Locale-aware Formatting ---
+// Without fraction digits numbers show up to two decimals, like the values typed in
+const formatNumber = (value, fractionDigits) => new Intl.NumberFormat(getLocale(), fractionDigits === undefined
+    ? { maximumFractionDigits: 2 }
+    : { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }
+).format(value);
+
+const formatPercent = (value, fractionDigits) => `${formatNumber(value, fractionDigits)}%`;
+
+const formatDate = (date) => new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium' }).format(new Date(date));
+
+// Static markup carries its English text plus the catalogue key it was written from
+const applyTranslations = () => {
+    document.documentElement.lang = getLanguage();
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+};
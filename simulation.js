@@ -0,0 +1,108 @@
+// --- Monte Carlo Simulation ---
+// Runs as a Web Worker (started by requestSimulation in app.js) and, where workers are not
+// available, as a plain script on the page. Models arrive fully resolved from
+// buildSimulationModel, so nothing here reads settings or preferences.
+if (typeof document === 'undefined') importScripts('finance.js');
+
+// Seedable PRNG (mulberry32): the same seed replays the same paths
+const createRng = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let x = Math.imul(state ^ (state >>> 15), state | 1);
+        x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+        return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Standard normal draw (Box-Muller)
+const randomNormal = (rng) => {
+    let u = 0;
+    while (u === 0) u = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
+
+const drawVariable = (rng, variable) => variable.mean + variable.volatility * randomNormal(rng);
+
+// Year-end balance and yearly debt service (payments plus prepayments) of the main loan,
+// in property currency. After the fixed period every loan year gets its own random rate;
+// a loan fixed for the whole term keeps its rate on every path.
+const simulateMainLoan = (model, rng) => {
+    const { loan } = model;
+    const rateSteps = model.rates
+        ? model.rates.map((rate, index) => ({ year: loan.fixedYears + index, rate: Math.max(0, drawVariable(rng, rate)) }))
+        : loan.rateSteps;
+    const schedule = buildAmortizationSchedule({ ...loan, rateSteps });
+    return summarizeScheduleByYear(schedule.map(row => {
+        const fx = model.fx ? model.fx[row.month - 1] : 1;
+        return { ...row, payment: row.payment * fx, prepayment: row.prepayment * fx, balance: row.balance * fx };
+    }));
+};
+
+// Nearest-rank percentile of an ascending list
+const percentile = (sorted, share) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(share * sorted.length) - 1))];
+
+const summarizePaths = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return { p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+};
+
+// Pre-tax paper equity and cumulative ROI of one property, path by path. Other loan
+// tranches are not simulated: their yearly debt service and balances come precomputed.
+const simulateProperty = (model, { paths, years, seed }) => {
+    const rng = createRng(seed);
+    const fixedLoan = model.loan && !model.rates ? simulateMainLoan(model, rng) : null;
+    const deflator = (year) => Math.pow(1 + model.cpi / 100, year);
+    const toRoi = (profit) => model.invested > 0 ? profit / model.invested * 100 : 0;
+    const equity = Array.from({ length: years + 1 }, () => []);
+    const roi = Array.from({ length: years + 1 }, () => []);
+
+    for (let path = 0; path < paths; path++) {
+        const loanYears = model.loan ? (fixedLoan || simulateMainLoan(model, rng)) : [];
+        let growth = 1;
+        let rent = model.rent * 12;
+        let cashflow = 0;
+        const valueAt = (year) => (model.renoMonths > year * 12 ? model.valueBeforeReno : model.value) * growth;
+
+        const startEquity = valueAt(0) - model.loanAmount;
+        equity[0].push(startEquity);
+        roi[0].push(toRoi(startEquity - model.invested));
+
+        for (let year = 1; year <= years; year++) {
+            // Every year draws all three variables so paths stay aligned across years
+            const appreciation = drawVariable(rng, model.appreciation);
+            const rentGrowth = drawVariable(rng, model.rentGrowth);
+            const vacancy = Math.min(100, Math.max(0, drawVariable(rng, model.vacancy)));
+            growth *= 1 + appreciation / 100;
+            if (year > 1) rent *= 1 + rentGrowth / 100;
+
+            const effectiveRent = rent * model.rentShare[year - 1] * (1 - vacancy / 100) * (1 - model.badDebt / 100);
+            const loanYear = loanYears[year - 1];
+            const debtService = (loanYear ? loanYear.payment + loanYear.prepayment : 0) + model.otherDebtService[year - 1];
+            const balance = (loanYear ? loanYear.balance : 0) + model.otherBalance[year - 1];
+            cashflow += (effectiveRent - model.costs[year - 1] - debtService) / deflator(year);
+
+            const yearEquity = (valueAt(year) - balance) / deflator(year);
+            equity[year].push(yearEquity);
+            roi[year].push(toRoi(yearEquity + cashflow - model.invested));
+        }
+    }
+
+    const benchmarkRoi = (Math.pow(1 + model.benchmarkRate / 100, years) / deflator(years) - 1) * 100;
+    return {
+        equity: equity.map(summarizePaths),
+        roi: roi.map(summarizePaths),
+        belowBenchmark: roi[years].filter(value => value < benchmarkRoi).length / paths
+    };
+};
+
+// Each property gets its own stream (seed + index), so adding a property leaves the others' bands unchanged
+const runSimulation = (job) => ({
+    id: job.id,
+    key: job.key,
+    results: job.models.map((model, index) => simulateProperty(model, { ...job.params, seed: job.params.seed + index }))
+});
+
+if (typeof document === 'undefined') {
+    self.onmessage = (e) => self.postMessage(runSimulation(e.data));
+}
@@ -0,0 +1,51 @@
+// Reproducibility of the Monte Carlo worker. Run with `node --test test/`.
+// simulation.js is loaded the way a browser worker loads it, finance.js through importScripts.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const loadScript = (context, file) => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+
+const context = vm.createContext({ self: {} });
+context.importScripts = (...files) => files.forEach(file => loadScript(context, file));
+loadScript(context, 'simulation.js');
+const runSimulation = vm.runInContext('runSimulation', context);
+
+// A 40M loan fixed for 5 years, so both the market variables and the loan rates are drawn
+const years = 10;
+const model = {
+    value: 50000000,
+    valueBeforeReno: 50000000,
+    renoMonths: 0,
+    rentShare: Array(years).fill(1),
+    loanAmount: 40000000,
+    invested: 12000000,
+    rent: 250000,
+    badDebt: 0,
+    costs: Array(years).fill(400000),
+    otherDebtService: Array(years).fill(0),
+    otherBalance: Array(years).fill(0),
+    loan: { amount: 40000000, rate: 6, term: 20, graceMonths: 0, fixedYears: 5, rateShock: 0, rateSteps: [], extraPayment: 0, lumpSums: [], prepaymentStrategy: 'term' },
+    fx: null,
+    rates: Array.from({ length: 15 }, () => ({ mean: 6, volatility: 1.5 })),
+    appreciation: { mean: 3, volatility: 5 },
+    rentGrowth: { mean: 3, volatility: 3 },
+    vacancy: { mean: 5, volatility: 3 },
+    cpi: 0,
+    benchmarkRate: 7
+};
+
+const job = (seed) => ({ id: 1, key: 'test', models: [model, { ...model, loan: null, loanAmount: 0, rates: null }], params: { paths: 500, years, seed } });
+
+// Results pass through postMessage, so compare them as plain data
+const run = (seed) => JSON.parse(JSON.stringify(runSimulation(job(seed)).results));
+
+test('the same seed gives the same bands and benchmark share', () => {
+    assert.deepStrictEqual(run(1), run(1));
+});
+
+test('another seed draws other paths', () => {
+    assert.notDeepStrictEqual(run(1), run(2));
+});